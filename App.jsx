@@ -18,6 +18,1454 @@ import axios from "axios";
    ======================= */
 const DEFAULT_API = (import.meta && import.meta.env && import.meta.env.VITE_API_URL) || process.env.REACT_APP_API_URL || "https://your-backend.example.com";
 const ADMIN_TOKEN_KEY = "task_admin_token_v1"; // sessionStorage key (optional fallback)
+const ADMIN_TOKEN_EXP_KEY = "task_admin_token_exp_v1"; // expiry-ga token-ka (ms) marka remember
+const REFRESH_LEAD_MS = 60_000; // token-ka cusboonaysii 1 daqiiqo ka hor expiry
+const REFRESH_RETRY_MS = 15_000; // refresh fashilmay (network) -> isku day mar kale
+const IDLE_TIMEOUT_MS = 15 * 60_000; // 15 daqiiqo aan wax dhaqdhaqaaq ah -> logout
+const IDLE_WARNING_MS = 60_000; // countdown warning 60s ka hor
+const ACTIVITY_EVENTS = ["mousemove", "mousedown", "keydown", "scroll", "touchstart"];
+// Live updates: WebSocket (auth message kadib); fashil -> polling fallback
+const LIVE_WS_URL = DEFAULT_API.replace(/^http/, "ws") + "/admin/live";
+const LIVE_MAX_RECONNECTS = 3; // intaas kadib -> polling
+const LIVE_RETRY_WS_MS = 120_000; // polling mode: isku day WebSocket mar kale
+// i18n: luqadaha UI-ga + locale-ka lacagta/taariikhda. Doorashada: localStorage per admin
+const LANGUAGES = { so: "Soomaali", en: "English" };
+const LANG_LOCALES = { so: "so-SO", en: "en-US" };
+const DEFAULT_LANG = "so";
+const LANG_STORAGE_KEY = "task_admin_lang_v1"; // + ":" + adminId (login screen: key-ga oo keliya)
+const LIVE_POLL_MS = 10_000;
+const LIVE_HIGHLIGHT_MS = 15_000; // "admin kale ayaa beddelay" indicator
+// Offline: mutations network la'aan -> outbox (localStorage per admin), replay marka xiriirku soo laabto
+const OUTBOX_STORAGE_KEY = "task_admin_outbox_v1"; // + ":" + adminId
+const OUTBOX_RETRY_MS = 30_000; // online + pending items -> isku day replay
+// Read cache: sessionStorage (tab/browser la xiro -> wuu baxaa; PII disk-ga kuma haro)
+const READ_CACHE_KEY = "task_admin_cache_v1"; // + ":" + adminId + ":" + tab -> { [query]: { data, at } }
+const READ_CACHE_PER_TAB = 10; // queries (bog/search/filter) ugu dambeeyay ee tab kasta la hayo
+// Diagnostics: request kasta X-Request-Id; requests-ka fashilmay (ugu dambeeyay) -> drawer / bug report
+const REQUEST_ID_HEADER = "X-Request-Id";
+const DIAGNOSTICS_MAX = 50;
+const USERS_PAGE_SIZE = 25; // users per page (server-side pagination)
+const PAGE_SIZE_OPTIONS = [25, 50, 100];
+const SEARCH_DEBOUNCE_MS = 350; // sug intaan search-ka server-ka loo dirin
+const ADJUST_CONFIRM_THRESHOLD = 50; // USD: adjustment ka weyn -> xaqiijin labaad
+const BATCH_CONCURRENCY = 4; // inta request ee batch-ku mar wada diro
+const STEP_UP_THRESHOLD = 100; // USD default; /admin/payout-policy "stepUpThreshold" ayaa beddela
+// Withdrawals la approve-gareyn karo (four-eyes: approve 1aad kadib -> AWAITING_SECOND_APPROVAL)
+const APPROVABLE_STATUSES = ["PENDING", "AWAITING_SECOND_APPROVAL"];
+const TASK_CATEGORIES = ["social", "survey", "app_install", "video", "website_visit", "other"];
+const TASK_PROOF_TYPES = { screenshot: "proof.screenshot", text: "proof.text", link: "proof.link" }; // -> catalog key
+const EMPTY_TASK_FORM = {
+  title: "", description: "", reward: "", category: "", targetUrl: "",
+  maxCompletions: "", perUserLimit: "1", budgetCap: "", startAt: "", endAt: "", proofType: "screenshot",
+};
+// Settings: payout methods (fee % + fee go'an USD) + defaults (server-ku field ma soo celin -> default)
+const PAYOUT_METHODS = ["EVC Plus", "Zaad", "e-Dahab", "PayPal"];
+const DEFAULT_SETTINGS = {
+  maintenance: false,
+  maintenanceMessage: "",
+  conversion: 1000, // points -> USD
+  stepUpThreshold: STEP_UP_THRESHOLD,
+  requireSecondApproval: false,
+  minWithdrawal: 1,
+  maxWithdrawal: 500,
+  dailyWithdrawalLimit: 500, // USD per user maalintii
+  dailyWithdrawalCount: 3, // withdrawals per user maalintii
+  payoutMethods: Object.fromEntries(PAYOUT_METHODS.map((m) => [m, { enabled: true, feePercent: 0, feeFixed: 0 }])),
+  referralBonus: { referrer: 0, referee: 0 },
+};
+const MAINTENANCE_MESSAGE_MAX = 500;
+// Maintenance windows: timezone-ka start/end lagu qoro (default Muqdisho)
+const MAINTENANCE_TIMEZONES = ["Africa/Mogadishu", "UTC", "Europe/London", "America/Chicago", "Asia/Dubai"];
+const MAINTENANCE_EXTEND_MINUTES = [15, 30, 60, 120];
+const EMPTY_MAINTENANCE_FORM = { startAt: "", endAt: "", timezone: "Africa/Mogadishu", messageSo: "", messageEn: "" };
+/* Roles & permissions (RBAC)
+   - adminUser.role / adminUser.roles waxay ka yimaadaan /admin/me
+   - Admin aan role lahayn: dashboard kaliya (deny by default)
+   - "*" = wax walba */
+const ROLE_PERMISSIONS = {
+  support: ["users.view", "users.ban", "tasks.view", "submissions.review", "withdrawals.view", "audit.view"],
+  finance: ["users.view", "users.adjust", "tasks.view", "withdrawals.view", "withdrawals.approve", "audit.view"],
+  superadmin: ["*"],
+};
+// Tabs + permission-ka loo baahan yahay (null = qof walba); label: tr("tabs.<id>")
+const TABS = [
+  { id: "dashboard", permission: null },
+  { id: "users", permission: "users.view" },
+  { id: "tasks", permission: "tasks.view" },
+  { id: "submissions", permission: "submissions.review" },
+  { id: "withdrawals", permission: "withdrawals.view" },
+  { id: "payouts", permission: "withdrawals.approve" },
+  { id: "notifications", permission: "notifications.send" },
+  { id: "audit", permission: "audit.view" },
+  { id: "settings", permission: "settings.manage" },
+];
+// Mutating endpoints -> permission (prefix match). Endpoint aan liiska ku jirin -> "*" (superadmin).
+// Axios interceptor-ka ayaa dhaqan geliya, sidaa darteed action cusub kama boodi karo.
+const PUBLIC_ENDPOINTS = ["/admin/auth/login", "/admin/auth/totp", "/admin/auth/refresh", "/admin/auth/step-up"];
+const ENDPOINT_PERMISSIONS = [
+  ["/admin/user/ban", "users.ban"],
+  ["/admin/user/unban", "users.ban"],
+  ["/admin/user/adjust", "users.adjust"],
+  ["/admin/task/", "tasks.manage"],
+  ["/admin/submission/", "submissions.review"],
+  ["/admin/withdraw/", "withdrawals.approve"],
+  ["/admin/payout-batch/", "withdrawals.approve"],
+  ["/admin/settings", "settings.manage"],
+  ["/admin/maintenance/", "settings.manage"],
+  ["/admin/notifications/", "notifications.send"],
+  ["/admin/me/preferences", null], // admin kasta (doorashadiisa)
+];
+// Analytics: range presets (maalmo) + metrics-ka time-series
+const ANALYTICS_PRESETS = [7, 30, 90];
+const ANALYTICS_METRICS = [
+  { key: "signups", money: false, color: "#4f46e5" },
+  { key: "completions", money: false, color: "#0891b2" },
+  { key: "rewardsPaid", money: true, color: "#16a34a" },
+  { key: "withdrawals", money: true, color: "#dc2626" },
+];
+// Export (CSV / XLSX): server-ka bog-bog ayaa looga soo qaadaa (filters-ka hadda)
+const EXPORT_PAGE_SIZE = 500;
+const EXPORT_MAX_PAGES = 1000; // safety limit
+const EXPORT_FORMATS = { csv: "CSV", xlsx: "XLSX" };
+const EXPORT_COLUMNS = {
+  users: [["id", "ID"], ["name", "Name"], ["email", "Email"], ["balance", "Balance"], ["banned", "Banned"], ["createdAt", "Created"]],
+  tasks: [["id", "ID"], ["title", "Title"], ["category", "Category"], ["reward", "Reward"], ["status", "Status"], ["completions", "Completions"],
+    ["maxCompletions", "Max completions"], ["budgetCap", "Budget cap"], ["startAt", "Start"], ["endAt", "End"], ["createdAt", "Created"]],
+  withdrawals: [["id", "ID"], ["userId", "User"], ["amount", "Amount"], ["method", "Method"], ["destination", "Destination"], ["status", "Status"], ["createdAt", "Created"]],
+  // Payout-batch: qaabka kooxda lacag bixinta ay upload-gareeyaan
+  payout: [["id", "id"], ["userId", "user"], ["amount", "amount"], ["method", "method"], ["destination", "destination"]],
+  // Batch (provider-ka): result file-ku wuxuu soo celiyaa id + status (+ reason, reference)
+  payoutBatch: [["withdrawalId", "id"], ["userId", "user"], ["amount", "amount"], ["method", "method"], ["destination", "destination"], ["batchId", "batch"]],
+  audit: [["createdAt", "Time"], ["actor", "Actor"], ["action", "Action"], ["targetType", "Target type"], ["targetId", "Target"],
+    ["before", "Before"], ["after", "After"], ["reason", "Reason"]],
+};
+// Task CSV import: field-yada la map-gareyn karo (EMPTY_TASK_FORM) + xadka rows-ka
+const TASK_IMPORT_FIELDS = Object.keys(EMPTY_TASK_FORM);
+const TASK_IMPORT_MAX_ROWS = 1000;
+const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+// Audit log: action types (filter) + page size
+const AUDIT_ACTIONS = [
+  "user.ban", "user.unban", "user.adjust",
+  "withdraw.approve", "withdraw.reject",
+  "payout.batch.create", "payout.batch.sent", "payout.batch.reconcile",
+  "task.add", "task.update", "task.status", "task.delete",
+  "submission.approve", "submission.reject",
+  "settings.update",
+  "notification.send", "notification.schedule", "notification.cancel",
+];
+const AUDIT_PAGE_SIZE = 50;
+// Notifications (push + in-app inbox): xadka push-ka, segments, waqtiga dirista (MAINTENANCE_TIMEZONES)
+const NOTIFICATION_TITLE_MAX = 65;
+const NOTIFICATION_BODY_MAX = 240;
+const NOTIFICATION_ACTIVE_DAYS = [1, 7, 30];
+const NOTIFICATION_PAGE_SIZE = 25;
+const EMPTY_NOTIFICATION_FORM = {
+  audience: "all", // all | segment | user
+  userId: "",
+  status: "all", minBalance: "", maxBalance: "", activeWithinDays: "",
+  titleSo: "", bodySo: "", titleEn: "", bodyEn: "",
+  push: true, inApp: true,
+  sendMode: "now", // now | schedule
+  scheduleAt: "", timezone: "Africa/Mogadishu",
+};
+// Payout batches: APPROVED -> batch (method kasta) -> export -> SENT -> provider results -> PAID / FAILED.
+// FAILED: server-ku wuxuu dib ugu celiyaa APPROVED (queue) + failureReason
+const PAYOUT_RESULT_STATUSES = {
+  paid: "PAID", success: "PAID", successful: "PAID", completed: "PAID", ok: "PAID",
+  failed: "FAILED", failure: "FAILED", error: "FAILED", rejected: "FAILED", declined: "FAILED",
+};
+// Withdrawal risk scoring (client-side). Score >= HIGH -> high, >= MEDIUM -> medium
+const RISK_WEIGHTS = { newAccount: 25, amountVsEarnings: 20, exceedsEarnings: 35, velocity: 20, sharedDestination: 30, previouslyBanned: 25 };
+const RISK_LEVELS = { HIGH: 50, MEDIUM: 25 };
+const RISK_NEW_ACCOUNT_DAYS = 7;
+const RISK_VELOCITY_24H = 3; // withdrawals 24h gudahood
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Task lifecycle: draft -> active -> paused -> archived (paused -> active waa la oggol yahay)
+const TASK_TRANSITIONS = {
+  draft: ["active", "archived"],
+  active: ["paused", "archived"],
+  paused: ["active", "archived"],
+  archived: [],
+};
+
+/* =======================
+   I18N: catalogs (so / en) + formatters
+   - tr(key, vars): "{name}" -> vars.name; luqadda hadda -> en -> key
+   - formatMoney / formatDate: locale-ka luqadda (toFixed / toLocaleString beddelkood)
+   ======================= */
+const MESSAGES = {
+  so: {
+    "auth.loginFailed": "Login-ku wuu fashilmay.",
+    "auth.networkError": "Cilad network. Hubi internet-ka.",
+    "auth.tooManyAttempts": "Isku day badan.",
+    "auth.waitMinutes": "Sug {minutes} daqiiqo.",
+    "auth.locked": "Account-ka waa la xiray. La xiriir superadmin.",
+    "auth.lockedUntil": "Account-ka waa la xiray ilaa {until}. La xiriir superadmin.",
+    "auth.invalidCredentials": "Xog khaldan.",
+    "auth.attemptsRemaining": "{attempts} isku day ayaa kuu haray ka hor lockout.",
+    "task.error.titleRequired": "Title waa qasab.",
+    "task.error.rewardPositive": "Reward waa inuu ka weyn yahay 0.",
+    "task.error.category": "Dooro category sax ah.",
+    "task.error.proofType": "Dooro nooca proof-ka.",
+    "task.error.targetUrl": "URL-ku waa inuu ahaadaa http(s).",
+    "task.error.linkNeedsUrl": "Auto-verified link wuxuu u baahan yahay target URL.",
+    "task.error.maxCompletions": "Max completions: integer >= 1 ama madhan.",
+    "task.error.perUserLimit": "Per-user limit: integer >= 1.",
+    "task.error.perUserOverMax": "Per-user limit kama badnaan karo max completions.",
+    "task.error.budgetPositive": "Budget cap waa inuu ka weyn yahay 0.",
+    "task.error.budgetBelowReward": "Budget cap kama yaraan karo reward-ka.",
+    "task.error.startDate": "Start date sax ma aha.",
+    "task.error.endDate": "End date sax ma aha.",
+    "task.error.endBeforeStart": "End date waa inuu ka dambeeyaa start date.",
+    "risk.newAccount": "Account cusub ({days} maalmood)",
+    "risk.exceedsEarnings": "Lacagta > dakhliga guud ({earned})",
+    "risk.amountVsEarnings": "{percent}% dakhliga guud",
+    "risk.velocity": "{count} withdrawals 24 saac gudahood",
+    "risk.sharedDestination": "Destination-ka waxaa la wadaaga {count} account kale",
+    "risk.previouslyBanned": "Hore loo ban-gareeyay",
+    "risk.level.high": "sare",
+    "risk.level.medium": "dhexe",
+    "risk.level.low": "hoose",
+    "settings.error.number": "Geli tiro sax ah.",
+    "settings.error.conversion": "Conversion waa inuu ka weyn yahay 0.",
+    "settings.error.threshold": "Threshold kama yaraan karo 0.",
+    "settings.error.minWithdrawal": "Minimum waa inuu ka weyn yahay 0.",
+    "settings.error.maxWithdrawal": "Maximum kama yaraan karo minimum-ka.",
+    "settings.error.dailyLimit": "Daily limit kama yaraan karo minimum-ka.",
+    "settings.error.dailyCount": "Daily count: integer >= 1.",
+    "settings.error.feePercent": "Fee %: 0-100.",
+    "settings.error.feeFixed": "Fee kama yaraan karo 0.",
+    "settings.error.noMethod": "Ugu yaraan hal payout method waa inuu shaqeeyaa.",
+    "settings.error.bonus": "Bonus kama yaraan karo 0.",
+    "settings.error.messageLength": "Fariinta: ugu badnaan {max} xaraf.",
+    "settings.error.messageRequired": "Maintenance ON: geli fariinta users-ka la tusayo.",
+    "maintenance.error.startRequired": "Start waa qasab.",
+    "maintenance.error.endRequired": "End waa qasab.",
+    "maintenance.error.endBeforeStart": "End waa inuu ka dambeeyaa start.",
+    "maintenance.error.endInPast": "End waa inuu mustaqbalka ahaadaa.",
+    "maintenance.error.messageRequired": "Fariintu waa qasab.",
+    "maintenance.error.messageLength": "Ugu badnaan {max} xaraf.",
+    "conflict.alreadyProcessed": "Horay ayaa loo xalliyay{by}{state}. Xogta hadda ayaa la muujiyay.",
+    "conflict.modified": "Admin kale ayaa wax ka beddelay{by}{state}. Xogta hadda ayaa la muujiyay; fadlan dib u eeg.",
+    "conflict.by": " by {name}",
+    "conflict.state": " (hadda: {status})",
+    "common.failed": "Fashilmay",
+    "app.loading": "Admin panel-ka waa la soo rarayaa...",
+    "app.tokenInvalid": "Token-ku sax ma aha, fadlan login mar kale.",
+    "login.missingCredentials": "Fadlan geli username iyo password.",
+    "login.failedCheck": "Login-ku wuu fashilmay. Hubi username/password.",
+    "login.enterRecovery": "Fadlan geli recovery code.",
+    "login.enterCode": "Fadlan geli code-ka 6-da god.",
+    "login.codeDigits": "TOTP code-ku waa 6 god.",
+    "login.welcome": "Ku soo dhawoow admin.",
+    "login.recoveryLeft": "Ku soo dhawoow admin. {left} recovery codes ayaa kuu haray.",
+    "login.recoveryLow": "Ku soo dhawoow admin. {left} recovery codes ayaa kuu haray — fadlan samee kuwo cusub.",
+    "login.invalidCode": "Code-ku sax ma aha.",
+    "login.title": "Admin Login",
+    "login.intro": "Geli username iyo password-kaaga, kadibna code-ka authenticator app-ka (TOTP).",
+    "session.loggedOut": "Waa lagaa saaray (logged out).",
+    "session.expired": "Session-kaagu wuu dhacay. Fadlan login mar kale.",
+    "session.idleLogout": "Waxaa lagaa saaray waqti dheer oo aadan wax qabanin (idle).",
+    "session.idleWarning": "Waxaa lagaa saarayaa {seconds}s gudahood (idle).",
+    "session.stay": "Sii joog",
+    "load.users": "Ma la soo bixi karo liiska users.",
+    "load.tasks": "Ma la soo bixi karo liiska tasks.",
+    "load.submissions": "Ma la soo bixi karo liiska submissions.",
+    "load.withdrawals": "Ma la soo bixi karo liiska withdrawals.",
+    "load.userIds": "Ma la soo bixi karo ids-ka users.",
+    "users.confirmBan": "Ma hubtaa inaad ban garaynayso user {id}? Tani waa irreversible.",
+    "users.banned": "User-ka waa la ban-gareeyay.",
+    "users.banFailed": "Cilad ayaa dhacday markii la isku dayay in la ban-gareeyo.",
+    "users.confirmUnban": "Ma hubtaa inaad unban garaynayso user {id}?",
+    "users.unbanned": "User-ka waa la unban-gareeyay.",
+    "users.unbanFailed": "Cilad ayaa dhacday markii la isku dayay in la unban-gareeyo.",
+    "withdrawals.confirmApprove": "Approve payment id={id} ({amount})? Xaqiiji marka lacagta la bixiyo.",
+    "withdrawals.stepUpNote": "Lacag ka badan {threshold}: dib u xaqiiji aqoonsigaaga.",
+    "withdrawals.stepUpFailed": "Step-up verification-ku wuu fashilmay.",
+    "withdrawals.firstApproval": "Approve 1/2: withdrawal-ku wuxuu sugayaa admin labaad (four-eyes).",
+    "withdrawals.approved": "Withdrawal-ka waa la approve-gareeyay.",
+    "withdrawals.approveFailed": "Cilad markii la isku dayay approve.",
+    "withdrawals.confirmReject": "Reject payment id={id}? Sababta: {reason}",
+    "withdrawals.rejected": "Withdrawal-ka waa la diiday.",
+    "withdrawals.rejectFailed": "Cilad markii la isku dayay reject.",
+    "common.noReason": "Sabab lama bixin",
+    "submissions.confirmApprove": "Approve submission id={id}? Reward-ka waa la siinayaa user-ka.",
+    "submissions.approved": "Submission-ka waa la approve-gareeyay.",
+    "submissions.approveFailed": "Cilad markii la isku dayay approve submission.",
+    "submissions.confirmReject": "Reject submission id={id}? Sababta: {reason}",
+    "submissions.rejected": "Submission-ka waa la diiday.",
+    "submissions.rejectFailed": "Cilad markii la isku dayay reject submission.",
+    "adjust.amountRequired": "Fadlan geli amount ka weyn 0.",
+    "adjust.reasonRequired": "Sababta (reason) waa qasab.",
+    "adjust.credit": "Credit {amount} user {id}",
+    "adjust.debit": "Debit {amount} user {id}",
+    "adjust.done": "{label}: waa la sameeyay.",
+    "adjust.failed": "Cilad markii la isku dayay balance adjustment.",
+    "adjust.confirm": "{label}? Sababta: {reason}",
+    "adjust.secondConfirm": "Xaqiijin labaad: {label} (ka badan {threshold}). Ma hubtaa?",
+    "tasks.created": "Task cusub waa la abuuray.",
+    "tasks.createFailed": "Cilad markii la isku dayay in la abuuro task.",
+    "tasks.updated": "Task-ga waa la cusbooneysiiyay.",
+    "tasks.updateFailed": "Cilad markii la isku dayay in la cusbooneysiiyo task.",
+    "tasks.invalidTransition": "Task-ga lagama beddeli karo {from} -> {to}.",
+    "tasks.statusChanged": "Task {id}: {status}.",
+    "tasks.statusFailed": "Cilad markii la beddelayay status-ka task-ga.",
+    "tasks.confirmArchive": "Archive task \"{title}\"? Dib looma furi karo.",
+    "tasks.hasCompletions": "Task \"{title}\" waxaa dhammeeyay {count} users; lama tirtiri karo. Archive garee.",
+    "tasks.confirmDelete": "Delete task \"{title}\"? Tani waa irreversible.",
+    "tasks.deleted": "Task-ga waa la tirtiray.",
+    "tasks.deleteFailed": "Cilad markii la isku dayay in la tirtiro task.",
+    "taskStatus.draft": "draft",
+    "taskStatus.active": "firfircoon",
+    "taskStatus.paused": "hakad",
+    "taskStatus.archived": "kaydsan",
+    "batch.summary": "{label}: {ok}/{total} guuleystay.",
+    "batch.taskImport": "Task import",
+    "batch.ban": "Batch ban",
+    "batch.unban": "Batch unban",
+    "batch.confirmUsers": "{label}: {count} users. Ma hubtaa?",
+    "batch.approve": "Batch approve",
+    "batch.reject": "Batch reject",
+    "batch.confirmWithdrawals": "{label}: {count} withdrawals, wadar {total}.",
+    "batch.reason": "Sababta: {reason}",
+    "batch.stepUpNote": "Qaar ka badan {threshold}: dib u xaqiiji aqoonsigaaga.",
+    "export.done": "Export: {count} rows.",
+    "export.failed": "Export-ka wuu fashilmay.",
+    "header.liveTitle": "Live updates",
+    "live.live": "● Live",
+    "live.polling": "◌ Polling",
+    "live.connecting": "… Xiriirinaya",
+    "live.offline": "○ Offline",
+    "header.loggedInAs": "Waxaad ku jirtaa sida:",
+    "header.noRole": "role ma leh",
+    "header.search": "Raadi users email / magac / id",
+    "header.searchLabel": "Raadi users",
+    "header.language": "Luqadda",
+    "common.clear": "Nadiifi",
+    "common.logout": "Ka bax",
+    "tabs.dashboard": "Dashboard",
+    "tabs.users": "Users",
+    "tabs.tasks": "Tasks",
+    "tabs.submissions": "Submissions",
+    "tabs.withdrawals": "Withdrawals",
+    "tabs.audit": "Audit",
+    "tabs.settings": "Settings",
+    "common.actions": "Ficillo",
+    "common.status": "Xaalad",
+    "common.id": "ID",
+    "common.refresh": "Cusboonaysii",
+    "common.reward": "Abaalmarin",
+    "common.reject": "Diid",
+    "common.method": "Habka",
+    "common.history": "Taariikh",
+    "common.cancel": "Jooji",
+    "common.apply": "Dabaq",
+    "common.amount": "Lacagta",
+    "common.user": "User",
+    "common.unban": "Unban",
+    "common.title": "Cinwaan",
+    "common.time": "Waqti",
+    "common.task": "Task",
+    "common.start": "Bilow",
+    "common.end": "Dhammaad",
+    "common.reset": "Dib u deji",
+    "common.proof": "Caddayn",
+    "common.prev": "Hore",
+    "common.next": "Xiga",
+    "common.message": "Fariin",
+    "common.loading": "Waa la soo rarayaa...",
+    "common.date": "Taariikh",
+    "common.category": "Category",
+    "common.ban": "Ban",
+    "common.back": "Dib u noqo",
+    "common.approve": "Oggolow",
+    "common.noData": "Xog ma jirto",
+    "common.save": "Keydi",
+    "common.close": "Xir",
+    "common.edit": "Wax ka beddel",
+    "common.delete": "Tirtir",
+    "common.dismiss": "Iska dhaaf",
+    "common.email": "Email",
+    "common.name": "Magac",
+    "common.balance": "Haraaga",
+    "common.reason": "Sababta",
+    "common.type": "Nooc",
+    "common.target": "Target",
+    "common.action": "Ficil",
+    "common.actor": "Admin",
+    "common.change": "Isbeddel",
+    "common.changes": "Isbeddellada",
+    "common.version": "Version",
+    "common.by": "Qofka",
+    "common.note": "Qoraal",
+    "common.risk": "Khatar",
+    "common.completions": "Dhammaystirro",
+    "login.recoveryPrompt": "Geli mid ka mid ah recovery codes-kaaga.",
+    "login.codePrompt": "Geli code-ka 6-da god ee authenticator app-ka.",
+    "login.recoveryCode": "Recovery code",
+    "login.totpCode": "TOTP code",
+    "common.pleaseWait": "Fadlan sug...",
+    "login.verify": "Xaqiiji",
+    "login.useAuthenticator": "Isticmaal code-ka authenticator-ka",
+    "login.useRecovery": "Isticmaal recovery code",
+    "login.username": "Username",
+    "login.password": "Password",
+    "login.remember": "I xasuuso (session)",
+    "login.submit": "Gal",
+    "stepUp.method": "Habka xaqiijinta",
+    "stepUp.credential": "Xaqiijinta step-up",
+    "confirm.proceed": "Haa, sii wad",
+    "dashboard.title": "Dashboard Overview",
+    "dashboard.users": "Users",
+    "dashboard.refreshUsers": "Cusboonaysii Users",
+    "dashboard.revenue": "Dakhli",
+    "dashboard.refreshTasks": "Cusboonaysii Tasks",
+    "dashboard.pendingWithdrawals": "Withdrawals sugaya",
+    "dashboard.refreshWithdrawals": "Cusboonaysii Withdrawals",
+    "analytics.title": "Analytics",
+    "analytics.loadFailed": "Analytics lama soo bixin karin.",
+    "analytics.lastDays": "{days} maalmood ee u dambeeyay",
+    "analytics.from": "Laga bilaabo",
+    "analytics.to": "Ilaa",
+    "analytics.noPrevious": "Xog hore ma jirto",
+    "analytics.vsPrevious": "{arrow} {percent}% marka la barbardhigo muddadii hore",
+    "analytics.signups": "Diiwaangelin",
+    "analytics.completions": "Tasks la dhammeeyay",
+    "analytics.rewardsPaid": "Abaalmarinaha la bixiyay",
+    "analytics.withdrawals": "Withdrawals",
+    "analytics.topByCompletions": "Tasks ugu badan (completions)",
+    "analytics.topByCost": "Tasks ugu badan (kharash)",
+    "analytics.payoutMethods": "Payout methods",
+    "analytics.chart": "Shaxda {metric}",
+    "users.title": "Users ({total})",
+    "users.filterStatus": "Ku shaandhee xaaladda",
+    "common.all": "Dhammaan",
+    "users.active": "Firfircoon",
+    "users.bannedLabel": "La ban-gareeyay",
+    "users.minBalance": "Haraaga ugu yar",
+    "users.maxBalance": "Haraaga ugu badan",
+    "users.banSelected": "Ban kuwa la doortay",
+    "users.unbanSelected": "Unban kuwa la doortay",
+    "common.selectPage": "Dooro bogga",
+    "common.selectItem": "Dooro {id}",
+    "common.created": "La abuuray",
+    "users.statusBanned": "BANNED",
+    "users.noneFound": "Users lama helin",
+    "pager.summary": "{from}–{to} ee {total} · Bog {page} / {pages}",
+    "pager.pageSize": "Cabbirka bogga",
+    "pager.perPage": "{count} / bog",
+    "ledger.taskReward": "Abaalmarin task",
+    "ledger.withdrawal": "Withdrawal",
+    "ledger.adjustment": "Hagaajin",
+    "drawer.partialFailure": "Qaar ka mid ah xogta user-ka lama soo bixin karin.",
+    "drawer.label": "Faahfaahinta user-ka",
+    "drawer.joined": "Ku biiray: {date}",
+    "drawer.totals": "Abaalmarino: {rewards} · La bixiyay: {withdrawn} · Hagaajin: {adjustments}",
+    "drawer.ledger": "Ledger ({count})",
+    "drawer.tasks": "Tasks ({count})",
+    "drawer.withdrawals": "Withdrawals ({count})",
+    "drawer.noLedger": "Ledger entries ma jiraan",
+    "drawer.completed": "La dhammeeyay",
+    "drawer.noCompleted": "Tasks la dhammeeyay ma jiraan",
+    "withdrawals.none": "Withdrawals ma jiraan",
+    "withdrawals.rejectPrompt": "Sababta diidmada (reason)",
+    "adjust.title": "Hagaaji haraaga",
+    "adjust.direction": "Jihada",
+    "adjust.creditOption": "Credit (+)",
+    "adjust.debitOption": "Debit (-)",
+    "adjust.amountPlaceholder": "Lacagta (USD)",
+    "adjust.reasonPlaceholder": "Sababta (qasab)",
+    "proof.screenshot": "Sawir shaashadeed",
+    "proof.text": "Jawaab qoraal ah",
+    "proof.link": "Link si toos ah loo xaqiijiyo",
+    "category.social": "Social",
+    "category.survey": "Sahan",
+    "category.app_install": "App install",
+    "category.video": "Video",
+    "category.website_visit": "Booqasho website",
+    "category.other": "Kale",
+    "taskForm.title": "Cinwaan",
+    "taskForm.description": "Sharaxaad",
+    "taskForm.reward": "Abaalmarin (USD)",
+    "taskForm.choose": "— dooro —",
+    "taskForm.proofRequired": "Caddaynta loo baahan yahay",
+    "taskForm.targetUrl": "Target URL",
+    "taskForm.maxCompletions": "Max completions",
+    "taskForm.unlimited": "Xad la'aan",
+    "taskForm.perUserLimit": "Xadka user kasta",
+    "taskForm.budgetCap": "Budget cap (USD)",
+    "taskForm.noCap": "Xad ma leh",
+    "tasks.title": "Tasks ({count})",
+    "tasks.create": "Abuur Task",
+    "tasks.schedule": "Jadwal",
+    "tasks.proofLine": "Caddayn: {proof}",
+    "tasks.perUser": "{count}/user",
+    "tasks.cap": "Xad {amount}",
+    "tasks.now": "Hadda",
+    "tasks.noEnd": "Dhammaad ma leh",
+    "tasks.resume": "Sii wad",
+    "tasks.activate": "Hawlgeli",
+    "tasks.pause": "Haki",
+    "tasks.archive": "Archive",
+    "tasks.deleteBlocked": "Users ayaa dhammeeyay task-gan; archive garee",
+    "tasks.none": "Tasks ma jiraan",
+    "submissions.title": "Submissions sugaya ({count})",
+    "submissions.shortcuts": "Furayaal:",
+    "submissions.move": "dhaqaaji",
+    "submissions.approve": "oggolow",
+    "submissions.reject": "diid",
+    "submissions.confirm": "xaqiiji",
+    "submissions.cancel": "jooji",
+    "submissions.submitted": "La soo gudbiyay",
+    "submissions.none": "Submissions sugaya ma jiraan",
+    "proof.screenshotAlt": "Sawirka caddaynta",
+    "withdrawals.title": "Withdrawals ({count})",
+    "export.payoutBatch": "Payout batch (CSV)",
+    "withdrawals.filterRisk": "Ku shaandhee khatarta",
+    "withdrawals.allRisk": "Khatar kasta",
+    "withdrawals.mediumPlus": "Dhexe+",
+    "withdrawals.highOnly": "Sare oo keliya",
+    "withdrawals.sort": "Kala horreysii withdrawals",
+    "withdrawals.defaultOrder": "Tartibka caadiga",
+    "withdrawals.riskFirst": "Khatar (sare marka hore)",
+    "withdrawals.amountFirst": "Lacag (badan marka hore)",
+    "withdrawals.approveSelected": "Oggolow kuwa la doortay",
+    "withdrawals.batchReason": "Sababta (batch reject)",
+    "withdrawals.rejectSelected": "Diid kuwa la doortay",
+    "withdrawals.selectAllPending": "Dooro dhammaan kuwa sugaya",
+    "withdrawals.changedBy": "{actor} ayaa hadda beddelay",
+    "withdrawals.secondApprovalTitle": "Oggolaansho labaad (admin kale)",
+    "withdrawals.approveSecond": "Oggolow (2/2)",
+    "withdrawals.firstApprover": "1aad: {name}",
+    "withdrawalStatus.PENDING": "Sugaya",
+    "withdrawalStatus.AWAITING_SECOND_APPROVAL": "Sugaya oggolaansho labaad",
+    "withdrawalStatus.APPROVED": "La oggolaaday",
+    "withdrawalStatus.REJECTED": "La diiday",
+    "withdrawalStatus.PAID": "La bixiyay",
+    "withdrawalStatus.FAILED": "Fashilmay",
+    "common.done": "Dhammaad",
+    "common.export": "Export",
+    "import.row": "Row {n}",
+    "import.noRows": "CSV-ga rows ma laha.",
+    "import.tooMany": "Ugu badnaan {max} rows hal mar.",
+    "import.unreadable": "CSV-ga lama akhrin karo.",
+    "import.label": "Import CSV:",
+    "import.aria": "Import tasks CSV",
+    "import.summary": "{rows} rows, {valid} sax ah, {invalid} khaldan",
+    "import.column": "Column {n}",
+    "import.rowHeader": "Row",
+    "import.validation": "Validation",
+    "import.created": "La abuuray",
+    "import.ok": "OK",
+    "import.importing": "Import-garaynaya...",
+    "import.submit": "Import {count} rows oo sax ah",
+    "import.downloadFailures": "Soo deji kuwa fashilmay ({count})",
+    "export.format": "Qaabka export-ka",
+    "export.progress": "Export-garaynaya {progress}...",
+    "selection.selectAll": "Dooro dhammaan {total} ee u dhigma",
+    "selection.count": "{count} la doortay",
+    "batch.resultCounts": "{ok} ok, {failed} fashilmay",
+    "batch.retryFailed": "Isku day kuwa fashilmay ({count})",
+    "audit.loadFailed": "Ma la soo bixi karo audit log.",
+    "audit.exportFailed": "Export-ka audit wuu fashilmay.",
+    "audit.title": "Audit Log",
+    "audit.historyFor": "Taariikhda {type}",
+    "audit.showAll": "Muuji dhammaan",
+    "audit.actorPlaceholder": "Actor (admin)",
+    "audit.actionType": "Nooca action-ka",
+    "audit.allActions": "Actions oo dhan",
+    "audit.fromDate": "Laga bilaabo",
+    "audit.toDate": "Ilaa",
+    "audit.none": "Audit entries ma jiraan",
+    "pager.page": "Bog {page}",
+    "settings.loadFailed": "Settings lama soo load garayn.",
+    "settings.historyLoadFailed": "Settings history lama soo load garayn.",
+    "settings.noChanges": "Wax isbeddel ah ma jiro.",
+    "settings.saved": "Waa la keydiyay.",
+    "settings.conflict": "Admin kale ayaa settings-ka beddelay. Dib u load garee (refresh) kahor intaadan keydin.",
+    "settings.saveFailed": "Keydintu way fashilantay.",
+    "settings.title": "Settings",
+    "settings.maintenance": "Dayactir (maintenance)",
+    "settings.maintenanceMode": "Maintenance mode (isla markiiba)",
+    "settings.on": "SHIDAN",
+    "settings.off": "DEMSAN",
+    "settings.maintenanceMessage": "Fariinta maintenance ({length}/{max})",
+    "settings.payoutRules": "Xeerarka lacag bixinta",
+    "settings.conversion": "Conversion (points -> $)",
+    "settings.minWithdrawal": "Withdrawal ugu yar (USD)",
+    "settings.maxWithdrawal": "Withdrawal ugu badan (USD)",
+    "settings.dailyLimit": "Xadka maalinlaha ee user (USD)",
+    "settings.dailyCount": "Withdrawals maalinle ah ee user",
+    "settings.stepUpThreshold": "Step-up threshold (USD)",
+    "settings.requireSecondApproval": "U baahan oggolaansho admin labaad marka threshold-ka la dhaafo (four-eyes)",
+    "settings.payoutMethods": "Hababka lacag bixinta",
+    "settings.enabled": "Shaqaynaya",
+    "settings.feePercent": "Fee %",
+    "settings.feeFixed": "Fee go'an (USD)",
+    "settings.methodEnabled": "{method} shaqaynaya",
+    "settings.methodFeePercent": "{method} fee %",
+    "settings.methodFeeFixed": "{method} fee go'an",
+    "settings.referralBonus": "Referral bonus (USD)",
+    "settings.referrer": "Referrer (qofka casuumay)",
+    "settings.referee": "Referee (user-ka cusub)",
+    "settings.pendingChanges": "Isbeddellada ({count}) ee la keydinayo:",
+    "settings.saving": "Waa la keydinayaa...",
+    "settings.confirmSave": "Xaqiiji keydinta",
+    "settings.loadDefaults": "Soo celi default-ka",
+    "settings.hideHistory": "Qari history",
+    "settings.versionLoaded": "Version {version} waa la soo shubay; Save si loo dabaqo.",
+    "common.actionFailed": "Action-ku wuu fashilmay.",
+    "maintenance.loadFailed": "Maintenance windows lama soo load garayn.",
+    "maintenance.scheduled": "Maintenance window waa la jadwaleeyay.",
+    "maintenance.cancelled": "Window waa la joojiyay.",
+    "maintenance.extended": "Window waa la dheereeyay {minutes} daqiiqo.",
+    "maintenanceState.UPCOMING": "Soo socda",
+    "maintenanceState.ACTIVE": "Socda",
+    "maintenanceState.PAST": "Dhammaaday",
+    "maintenanceState.CANCELLED": "La joojiyay",
+    "maintenance.confirmCancel": "Xaqiiji joojinta",
+    "maintenance.keep": "Hay",
+    "maintenance.extendBy": "Ku dheeree",
+    "maintenance.minutes": "+{minutes} daqiiqo",
+    "maintenance.extend": "Dheeree",
+    "maintenance.title": "Maintenance la jadwaleeyay",
+    "maintenance.timezone": "Timezone",
+    "maintenance.messageSo": "Fariinta (Somali)",
+    "maintenance.messageEn": "Fariinta (English)",
+    "maintenance.preview": "Banner preview (sida users-ku u arkayaan)",
+    "maintenance.schedule": "Jadwalee window",
+    "maintenance.current": "Socda & soo socda",
+    "maintenance.none": "Wax window ah lama jadwaleyn.",
+    "maintenance.past": "Kuwii hore",
+    "settingsHistory.none": "History ma jiro.",
+    "settingsHistory.title": "Settings history",
+    "settingsHistory.initial": "Bilow",
+    "settingsHistory.load": "Ku shub form-ka",
+    "outbox.queued": "Network ma jiro: \"{action}\" waxaa la geliyay pending sync; marka xiriirku soo laabto ayaa la diri doonaa.",
+    "outbox.syncResult": "Pending sync: {synced} la diray, {problems} u baahan eegid.",
+    "outbox.title": "Pending sync ({count})",
+    "outbox.offline": "Offline — actions-ka waxaa la diri doonaa marka xiriirku soo laabto.",
+    "outbox.syncing": "Waa la dirayaa...",
+    "outbox.syncNow": "Hadda dir",
+    "outbox.discard": "Tuur",
+    "outbox.confirmDiscard": "Tuur action-ka \"{action}\"? Server-ka looma diri doono.",
+    "outboxStatus.pending": "Sugaya",
+    "outboxStatus.conflict": "Conflict",
+    "outboxStatus.failed": "Fashilmay",
+    "outbox.ban": "Ban {id}",
+    "outbox.unban": "Unban {id}",
+    "outbox.approve": "Oggolow withdrawal {id}",
+    "outbox.reject": "Diid withdrawal {id}",
+    "outbox.addTask": "Abuur task \"{title}\"",
+    "outbox.settings": "Keydi settings",
+    "outbox.queuedShort": "Pending sync ayaa la geliyay.",
+    "offline.badge": "Offline",
+    "offline.stale": "Xog cache ah ({time}) — server-ka lama gaari karo.",
+    "outbox.approveSubmission": "Oggolow submission {id}",
+    "outbox.rejectSubmission": "Diid submission {id}",
+    "error.unknown": "Cilad aan la garanayn.",
+    "error.forbidden": "Role-kaagu ma oggola ({permission}).",
+    "error.timeout": "Server-ku waqti ku filan kuma jawaabin (timeout).",
+    "error.network": "Xiriir la'aan: server-ka lama gaari karo.",
+    "error.validation": "Xogta la diray server-ku wuu diiday.",
+    "error.unauthorized": "Session-ku wuu dhacay; dib u gal.",
+    "error.forbiddenServer": "Server-ku ma oggola action-kan.",
+    "error.notFound": "Lama helin (waa la tirtiray ama id khaldan).",
+    "error.rateLimited": "Requests badan; wax yar sug kadib isku day.",
+    "error.server": "Cilad server ({status}); isku day mar kale.",
+    "error.status": "Request-ku wuu fashilmay ({status}).",
+    "error.ref": "(ref: {id})",
+    "diagnostics.button": "Diagnostics ({count})",
+    "diagnostics.title": "Requests fashilmay",
+    "diagnostics.hint": "{max}-kii ugu dambeeyay. Copy ku dar bug report-ka.",
+    "diagnostics.copy": "Copy",
+    "diagnostics.copied": "Waa la copy-gareeyay.",
+    "diagnostics.copyFailed": "Copy ma suurtoobin; qoraalka gacanta ku dooro.",
+    "diagnostics.none": "Request fashilmay ma jiro.",
+    "diagnostics.request": "Request",
+    "diagnostics.latency": "Latency",
+    "diagnostics.retries": "Retries",
+    "diagnostics.label": "Diagnostics",
+    "tabs.payouts": "Payouts",
+    "withdrawalStatus.BATCHED": "Payout batch ku jira",
+    "withdrawals.lastFailure": "Payout hore wuu fashilmay: {reason}",
+    "payouts.title": "Payout batches",
+    "payouts.ready": "Diyaar u ah bixin (approved)",
+    "payouts.noneReady": "Withdrawal approved ah oo batch la'aan ah ma jiro.",
+    "payouts.readySummary": "{count} withdrawals · {total}",
+    "payouts.createBatch": "Samee batch",
+    "payouts.confirmCreate": "Samee batch {method}: {count} withdrawals, wadar {total}?",
+    "payouts.created": "Batch {method} waa la sameeyay ({count}).",
+    "payouts.loadFailed": "Payout batches lama soo load garayn.",
+    "payouts.createFailed": "Batch-ka lama samayn.",
+    "payouts.batches": "Batches",
+    "payouts.noBatches": "Batch ma jiro weli.",
+    "payouts.batch": "Batch",
+    "payouts.items": "Items",
+    "payouts.hideItems": "Qari items",
+    "payouts.markSent": "Calaamadee la diray",
+    "payouts.confirmSent": "Xaqiiji: batch {id} ({count} withdrawals, {total}) provider-ka waa loo diray?",
+    "payouts.sent": "Batch {id} waa la calaamadeeyay la diray.",
+    "payouts.sentFailed": "Batch-ka lama calaamadayn karo.",
+    "payouts.importResults": "Natiijada provider-ka (CSV):",
+    "payouts.importAria": "Import natiijada provider-ka",
+    "payouts.import.unreadable": "File-ka natiijada lama akhrin karo.",
+    "payouts.import.missingColumns": "File-ku wuxuu u baahan yahay columns: id iyo status.",
+    "payouts.import.notInBatch": "Withdrawal-kan batch-kan kuma jiro.",
+    "payouts.import.duplicate": "Id-gan file-ka laba jeer ayuu ku jiraa.",
+    "payouts.import.unknownStatus": "Status aan la aqoon: \"{status}\".",
+    "payouts.import.defaultReason": "Provider-ku wuu diiday (sabab lama sheegin).",
+    "payouts.import.summary": "{paid} la bixiyay, {failed} fashilmay, {problems} khaldan, {missing} file-ka kuma jiraan (wey sugayaan)",
+    "payouts.import.line": "Line",
+    "payouts.reconcile": "Dabaq natiijada",
+    "payouts.reconciled": "Batch {id}: {paid} PAID, {failed} FAILED (queue-ga dib ayay ugu noqdeen).",
+    "payouts.reconcileFailed": "Natiijada lama dabaqi karo.",
+    "payouts.reference": "Tixraac",
+    "payoutBatchStatus.OPEN": "Furan",
+    "payoutBatchStatus.SENT": "La diray",
+    "payoutBatchStatus.RECONCILED": "La xaqiijiyay",
+    "payouts.methodCol": "Habka",
+    "payouts.summaryCol": "Tirada / wadarta",
+    "payouts.failureReason": "Sababta",
+    "payouts.destination": "Meesha lacagta",
+    "tabs.notifications": "Ogeysiisyo",
+    "notifications.error.userRequired": "Geli user id.",
+    "notifications.error.number": "Geli tiro sax ah.",
+    "notifications.error.balanceRange": "Max kama yaraan karo min.",
+    "notifications.error.titleRequired": "Cinwaanka waa qasab.",
+    "notifications.error.bodyRequired": "Fariinta waa qasab.",
+    "notifications.error.titleLength": "Cinwaanku ugu badnaan {max} xaraf.",
+    "notifications.error.bodyLength": "Fariintu ugu badnaan {max} xaraf.",
+    "notifications.error.englishPair": "English: cinwaan iyo fariin labadaba geli (ama labadaba ka tag).",
+    "notifications.error.channel": "Dooro ugu yaraan hal channel.",
+    "notifications.error.scheduleRequired": "Dooro waqtiga dirista.",
+    "notifications.error.scheduleInPast": "Waqtiga dirista waa inuu mustaqbalka yahay.",
+    "audience.all": "Dhammaan users-ka",
+    "audience.user": "User {id}",
+    "audience.status.active": "firfircoon",
+    "audience.status.banned": "la ban-gareeyay",
+    "audience.balanceMin": "balance ≥ {amount}",
+    "audience.balanceMax": "balance ≤ {amount}",
+    "audience.activeWithin": "firfircoon {days} maalmood gudahood",
+    "audience.segment": "Segment: {filters}",
+    "audience.segmentAll": "Segment: dhammaan",
+    "notifications.title": "Ogeysiisyo (announcements)",
+    "notifications.compose": "Qor ogeysiis",
+    "notifications.audience": "Cidda loo dirayo",
+    "notifications.audienceAll": "Dhammaan users-ka",
+    "notifications.audienceSegment": "Segment (filter)",
+    "notifications.audienceUser": "Hal user",
+    "notifications.userId": "User id",
+    "notifications.fromUsers": "Laga doortay Users",
+    "notifications.status": "Xaaladda account-ka",
+    "notifications.anyStatus": "Kasta",
+    "notifications.minBalance": "Balance ugu yar (USD)",
+    "notifications.maxBalance": "Balance ugu badan (USD)",
+    "notifications.activeWithin": "Firfircoon dhawaan",
+    "notifications.anyTime": "Waqti kasta",
+    "notifications.lastDays": "{days} maalmood ee u dambeeyay",
+    "notifications.reach": "≈ {count} users ayaa heli doona",
+    "notifications.reachLoading": "Tirada users-ka waa la xisaabinayaa...",
+    "notifications.titleSo": "Cinwaan (Somali) ({length}/{max})",
+    "notifications.bodySo": "Fariin (Somali) ({length}/{max})",
+    "notifications.titleEn": "Cinwaan (English, optional) ({length}/{max})",
+    "notifications.bodyEn": "Fariin (English, optional) ({length}/{max})",
+    "notifications.channels": "Channels",
+    "notifications.push": "Push notification",
+    "notifications.inApp": "In-app inbox",
+    "notifications.sendNow": "Dir hadda",
+    "notifications.schedule": "Jadwalee",
+    "notifications.sendAt": "Waqtiga dirista",
+    "notifications.preview": "Preview (sida users-ku u arkayaan)",
+    "notifications.previewNow": "hadda",
+    "notifications.review": "Eeg oo dir",
+    "notifications.confirmSend": "U dir \"{title}\" → {audience} (≈ {count} users) hadda?",
+    "notifications.confirmSchedule": "Jadwalee \"{title}\" → {audience} (≈ {count} users) {time}?",
+    "notifications.confirm": "Xaqiiji",
+    "notifications.sent": "Ogeysiiska waa la diray.",
+    "notifications.scheduled": "Ogeysiiska waa la jadwaleeyay.",
+    "notifications.sendFailed": "Ogeysiiska lama dirin.",
+    "notifications.loadFailed": "History-ga ogeysiisyada lama soo load garayn.",
+    "notifications.history": "Ogeysiisyadii hore",
+    "notifications.none": "Ogeysiis lama dirin weli.",
+    "notifications.message": "Fariin",
+    "notifications.delivery": "Gaarsiinta",
+    "notifications.deliveryCounts": "{delivered}/{targeted} la gaarsiiyay",
+    "notifications.deliveryDetail": "{failed} fashilmay · {opened} la furay",
+    "notifications.cancelled": "Ogeysiiska la jadwaleeyay waa la joojiyay.",
+    "notifications.cancelFailed": "Lama joojin karo.",
+    "notifications.confirmCancel": "Xaqiiji joojinta",
+    "notifications.notify": "Ogeysii",
+    "notificationStatus.SCHEDULED": "La jadwaleeyay",
+    "notificationStatus.SENDING": "La dirayaa",
+    "notificationStatus.SENT": "La diray",
+    "notificationStatus.CANCELLED": "La joojiyay",
+    "notificationStatus.FAILED": "Fashilmay",
+    "withdrawals.fourEyesNote": "Approve-kan kadib admin kale ayaa sidoo kale oggolaan doona (four-eyes).",
+    "withdrawals.approveFirst": "Oggolow (1/2)",
+    "batch.fourEyesNote": "{count} ka mid ah waxay u baahan yihiin admin labaad (four-eyes).",
+    "notifications.reachUnknown": "Tirada users-ka lama yaqaan (estimate-ku wuu fashilmay).",
+  },
+  en: {
+    "auth.loginFailed": "Login failed.",
+    "auth.networkError": "Network error. Check your internet connection.",
+    "auth.tooManyAttempts": "Too many attempts.",
+    "auth.waitMinutes": "Wait {minutes} minute(s).",
+    "auth.locked": "Account locked. Contact a superadmin.",
+    "auth.lockedUntil": "Account locked until {until}. Contact a superadmin.",
+    "auth.invalidCredentials": "Invalid credentials.",
+    "auth.attemptsRemaining": "{attempts} attempt(s) left before lockout.",
+    "task.error.titleRequired": "Title is required.",
+    "task.error.rewardPositive": "Reward must be greater than 0.",
+    "task.error.category": "Choose a valid category.",
+    "task.error.proofType": "Choose a proof type.",
+    "task.error.targetUrl": "URL must be http(s).",
+    "task.error.linkNeedsUrl": "Auto-verified link requires a target URL.",
+    "task.error.maxCompletions": "Max completions: integer >= 1 or empty.",
+    "task.error.perUserLimit": "Per-user limit: integer >= 1.",
+    "task.error.perUserOverMax": "Per-user limit cannot exceed max completions.",
+    "task.error.budgetPositive": "Budget cap must be greater than 0.",
+    "task.error.budgetBelowReward": "Budget cap cannot be lower than the reward.",
+    "task.error.startDate": "Start date is invalid.",
+    "task.error.endDate": "End date is invalid.",
+    "task.error.endBeforeStart": "End date must be after the start date.",
+    "risk.newAccount": "New account ({days}d)",
+    "risk.exceedsEarnings": "Amount > lifetime earnings ({earned})",
+    "risk.amountVsEarnings": "{percent}% of lifetime earnings",
+    "risk.velocity": "{count} withdrawals in 24h",
+    "risk.sharedDestination": "Destination shared with {count} other account(s)",
+    "risk.previouslyBanned": "Previously banned",
+    "risk.level.high": "high",
+    "risk.level.medium": "medium",
+    "risk.level.low": "low",
+    "settings.error.number": "Enter a valid number.",
+    "settings.error.conversion": "Conversion must be greater than 0.",
+    "settings.error.threshold": "Threshold cannot be below 0.",
+    "settings.error.minWithdrawal": "Minimum must be greater than 0.",
+    "settings.error.maxWithdrawal": "Maximum cannot be lower than the minimum.",
+    "settings.error.dailyLimit": "Daily limit cannot be lower than the minimum.",
+    "settings.error.dailyCount": "Daily count: integer >= 1.",
+    "settings.error.feePercent": "Fee %: 0-100.",
+    "settings.error.feeFixed": "Fee cannot be below 0.",
+    "settings.error.noMethod": "At least one payout method must be enabled.",
+    "settings.error.bonus": "Bonus cannot be below 0.",
+    "settings.error.messageLength": "Message: at most {max} characters.",
+    "settings.error.messageRequired": "Maintenance ON: enter the message shown to users.",
+    "maintenance.error.startRequired": "Start is required.",
+    "maintenance.error.endRequired": "End is required.",
+    "maintenance.error.endBeforeStart": "End must be after start.",
+    "maintenance.error.endInPast": "End must be in the future.",
+    "maintenance.error.messageRequired": "Message is required.",
+    "maintenance.error.messageLength": "At most {max} characters.",
+    "conflict.alreadyProcessed": "Already processed{by}{state}. Showing current data.",
+    "conflict.modified": "Another admin changed this{by}{state}. Showing current data; please review.",
+    "conflict.by": " by {name}",
+    "conflict.state": " (now: {status})",
+    "common.failed": "Failed",
+    "app.loading": "Loading admin panel...",
+    "app.tokenInvalid": "Token invalid, please log in again.",
+    "login.missingCredentials": "Please enter username and password.",
+    "login.failedCheck": "Login failed. Check username/password.",
+    "login.enterRecovery": "Please enter a recovery code.",
+    "login.enterCode": "Please enter the 6-digit code.",
+    "login.codeDigits": "The TOTP code is 6 digits.",
+    "login.welcome": "Welcome, admin.",
+    "login.recoveryLeft": "Welcome, admin. {left} recovery code(s) left.",
+    "login.recoveryLow": "Welcome, admin. {left} recovery code(s) left — please generate new ones.",
+    "login.invalidCode": "The code is not valid.",
+    "login.title": "Admin Login",
+    "login.intro": "Enter your username and password, then the code from your authenticator app (TOTP).",
+    "session.loggedOut": "You have been logged out.",
+    "session.expired": "Your session has expired. Please log in again.",
+    "session.idleLogout": "You were logged out after a period of inactivity.",
+    "session.idleWarning": "You will be logged out in {seconds}s (idle).",
+    "session.stay": "Stay signed in",
+    "load.users": "Could not load users.",
+    "load.tasks": "Could not load tasks.",
+    "load.submissions": "Could not load submissions.",
+    "load.withdrawals": "Could not load withdrawals.",
+    "load.userIds": "Could not load user ids.",
+    "users.confirmBan": "Are you sure you want to ban user {id}? This is irreversible.",
+    "users.banned": "User banned.",
+    "users.banFailed": "Failed to ban the user.",
+    "users.confirmUnban": "Are you sure you want to unban user {id}?",
+    "users.unbanned": "User unbanned.",
+    "users.unbanFailed": "Failed to unban the user.",
+    "withdrawals.confirmApprove": "Approve payment id={id} ({amount})? Confirm once the money is paid.",
+    "withdrawals.stepUpNote": "Above {threshold}: re-confirm your identity.",
+    "withdrawals.stepUpFailed": "Step-up verification failed.",
+    "withdrawals.firstApproval": "Approval 1/2: the withdrawal is waiting for a second admin (four-eyes).",
+    "withdrawals.approved": "Withdrawal approved.",
+    "withdrawals.approveFailed": "Failed to approve.",
+    "withdrawals.confirmReject": "Reject payment id={id}? Reason: {reason}",
+    "withdrawals.rejected": "Withdrawal rejected.",
+    "withdrawals.rejectFailed": "Failed to reject.",
+    "common.noReason": "No reason provided",
+    "submissions.confirmApprove": "Approve submission id={id}? The reward will be paid to the user.",
+    "submissions.approved": "Submission approved.",
+    "submissions.approveFailed": "Failed to approve the submission.",
+    "submissions.confirmReject": "Reject submission id={id}? Reason: {reason}",
+    "submissions.rejected": "Submission rejected.",
+    "submissions.rejectFailed": "Failed to reject the submission.",
+    "adjust.amountRequired": "Please enter an amount greater than 0.",
+    "adjust.reasonRequired": "A reason is required.",
+    "adjust.credit": "Credit {amount} to user {id}",
+    "adjust.debit": "Debit {amount} from user {id}",
+    "adjust.done": "{label}: done.",
+    "adjust.failed": "Balance adjustment failed.",
+    "adjust.confirm": "{label}? Reason: {reason}",
+    "adjust.secondConfirm": "Second confirmation: {label} (above {threshold}). Are you sure?",
+    "tasks.created": "New task created.",
+    "tasks.createFailed": "Failed to create the task.",
+    "tasks.updated": "Task updated.",
+    "tasks.updateFailed": "Failed to update the task.",
+    "tasks.invalidTransition": "Task cannot move from {from} to {to}.",
+    "tasks.statusChanged": "Task {id}: {status}.",
+    "tasks.statusFailed": "Failed to change the task status.",
+    "tasks.confirmArchive": "Archive task \"{title}\"? It cannot be reopened.",
+    "tasks.hasCompletions": "Task \"{title}\" was completed by {count} users; it cannot be deleted. Archive it instead.",
+    "tasks.confirmDelete": "Delete task \"{title}\"? This is irreversible.",
+    "tasks.deleted": "Task deleted.",
+    "tasks.deleteFailed": "Failed to delete the task.",
+    "taskStatus.draft": "draft",
+    "taskStatus.active": "active",
+    "taskStatus.paused": "paused",
+    "taskStatus.archived": "archived",
+    "batch.summary": "{label}: {ok}/{total} succeeded.",
+    "batch.taskImport": "Task import",
+    "batch.ban": "Batch ban",
+    "batch.unban": "Batch unban",
+    "batch.confirmUsers": "{label}: {count} users. Are you sure?",
+    "batch.approve": "Batch approve",
+    "batch.reject": "Batch reject",
+    "batch.confirmWithdrawals": "{label}: {count} withdrawals, total {total}.",
+    "batch.reason": "Reason: {reason}",
+    "batch.stepUpNote": "Some above {threshold}: re-confirm your identity.",
+    "export.done": "Export: {count} rows.",
+    "export.failed": "Export failed.",
+    "header.liveTitle": "Live updates",
+    "live.live": "● Live",
+    "live.polling": "◌ Polling",
+    "live.connecting": "… Connecting",
+    "live.offline": "○ Offline",
+    "header.loggedInAs": "Logged in as:",
+    "header.noRole": "no role",
+    "header.search": "Search users by email / name / id",
+    "header.searchLabel": "Search users",
+    "header.language": "Language",
+    "common.clear": "Clear",
+    "common.logout": "Logout",
+    "tabs.dashboard": "Dashboard",
+    "tabs.users": "Users",
+    "tabs.tasks": "Tasks",
+    "tabs.submissions": "Submissions",
+    "tabs.withdrawals": "Withdrawals",
+    "tabs.audit": "Audit",
+    "tabs.settings": "Settings",
+    "common.actions": "Actions",
+    "common.status": "Status",
+    "common.id": "ID",
+    "common.refresh": "Refresh",
+    "common.reward": "Reward",
+    "common.reject": "Reject",
+    "common.method": "Method",
+    "common.history": "History",
+    "common.cancel": "Cancel",
+    "common.apply": "Apply",
+    "common.amount": "Amount",
+    "common.user": "User",
+    "common.unban": "Unban",
+    "common.title": "Title",
+    "common.time": "Time",
+    "common.task": "Task",
+    "common.start": "Start",
+    "common.end": "End",
+    "common.reset": "Reset",
+    "common.proof": "Proof",
+    "common.prev": "Prev",
+    "common.next": "Next",
+    "common.message": "Message",
+    "common.loading": "Loading...",
+    "common.date": "Date",
+    "common.category": "Category",
+    "common.ban": "Ban",
+    "common.back": "Back",
+    "common.approve": "Approve",
+    "common.noData": "No data",
+    "common.save": "Save",
+    "common.close": "Close",
+    "common.edit": "Edit",
+    "common.delete": "Delete",
+    "common.dismiss": "Dismiss",
+    "common.email": "Email",
+    "common.name": "Name",
+    "common.balance": "Balance",
+    "common.reason": "Reason",
+    "common.type": "Type",
+    "common.target": "Target",
+    "common.action": "Action",
+    "common.actor": "Actor",
+    "common.change": "Change",
+    "common.changes": "Changes",
+    "common.version": "Version",
+    "common.by": "By",
+    "common.note": "Note",
+    "common.risk": "Risk",
+    "common.completions": "Completions",
+    "login.recoveryPrompt": "Enter one of your recovery codes.",
+    "login.codePrompt": "Enter the 6-digit code from your authenticator app.",
+    "login.recoveryCode": "Recovery code",
+    "login.totpCode": "TOTP code",
+    "common.pleaseWait": "Please wait...",
+    "login.verify": "Verify",
+    "login.useAuthenticator": "Use authenticator code",
+    "login.useRecovery": "Use a recovery code",
+    "login.username": "Username",
+    "login.password": "Password",
+    "login.remember": "Remember (session)",
+    "login.submit": "Login",
+    "stepUp.method": "Step-up method",
+    "stepUp.credential": "Step-up credential",
+    "confirm.proceed": "Yes, proceed",
+    "dashboard.title": "Dashboard Overview",
+    "dashboard.users": "Users",
+    "dashboard.refreshUsers": "Refresh Users",
+    "dashboard.revenue": "Revenue",
+    "dashboard.refreshTasks": "Refresh Tasks",
+    "dashboard.pendingWithdrawals": "Pending Withdrawals",
+    "dashboard.refreshWithdrawals": "Refresh Withdrawals",
+    "analytics.title": "Analytics",
+    "analytics.loadFailed": "Could not load analytics.",
+    "analytics.lastDays": "Last {days}d",
+    "analytics.from": "From",
+    "analytics.to": "To",
+    "analytics.noPrevious": "No previous data",
+    "analytics.vsPrevious": "{arrow} {percent}% vs previous period",
+    "analytics.signups": "Signups",
+    "analytics.completions": "Task completions",
+    "analytics.rewardsPaid": "Rewards paid out",
+    "analytics.withdrawals": "Withdrawals",
+    "analytics.topByCompletions": "Top tasks by completions",
+    "analytics.topByCost": "Top tasks by cost",
+    "analytics.payoutMethods": "Payout methods",
+    "analytics.chart": "{metric} chart",
+    "users.title": "Users ({total})",
+    "users.filterStatus": "Filter by status",
+    "common.all": "All",
+    "users.active": "Active",
+    "users.bannedLabel": "Banned",
+    "users.minBalance": "Min balance",
+    "users.maxBalance": "Max balance",
+    "users.banSelected": "Ban selected",
+    "users.unbanSelected": "Unban selected",
+    "common.selectPage": "Select page",
+    "common.selectItem": "Select {id}",
+    "common.created": "Created",
+    "users.statusBanned": "BANNED",
+    "users.noneFound": "No users found",
+    "pager.summary": "{from}–{to} of {total} · Page {page} / {pages}",
+    "pager.pageSize": "Page size",
+    "pager.perPage": "{count} / page",
+    "ledger.taskReward": "Task reward",
+    "ledger.withdrawal": "Withdrawal",
+    "ledger.adjustment": "Adjustment",
+    "drawer.partialFailure": "Some of the user's data could not be loaded.",
+    "drawer.label": "User details",
+    "drawer.joined": "Joined: {date}",
+    "drawer.totals": "Rewards: {rewards} · Withdrawn: {withdrawn} · Adjustments: {adjustments}",
+    "drawer.ledger": "Ledger ({count})",
+    "drawer.tasks": "Tasks ({count})",
+    "drawer.withdrawals": "Withdrawals ({count})",
+    "drawer.noLedger": "No ledger entries",
+    "drawer.completed": "Completed",
+    "drawer.noCompleted": "No completed tasks",
+    "withdrawals.none": "No withdrawals",
+    "withdrawals.rejectPrompt": "Reason for rejection",
+    "adjust.title": "Adjust balance",
+    "adjust.direction": "Direction",
+    "adjust.creditOption": "Credit (+)",
+    "adjust.debitOption": "Debit (-)",
+    "adjust.amountPlaceholder": "Amount (USD)",
+    "adjust.reasonPlaceholder": "Reason (required)",
+    "proof.screenshot": "Screenshot",
+    "proof.text": "Text answer",
+    "proof.link": "Auto-verified link",
+    "category.social": "Social",
+    "category.survey": "Survey",
+    "category.app_install": "App install",
+    "category.video": "Video",
+    "category.website_visit": "Website visit",
+    "category.other": "Other",
+    "taskForm.title": "Title",
+    "taskForm.description": "Description",
+    "taskForm.reward": "Reward (USD)",
+    "taskForm.choose": "— choose —",
+    "taskForm.proofRequired": "Proof required",
+    "taskForm.targetUrl": "Target URL",
+    "taskForm.maxCompletions": "Max completions",
+    "taskForm.unlimited": "Unlimited",
+    "taskForm.perUserLimit": "Per-user limit",
+    "taskForm.budgetCap": "Budget cap (USD)",
+    "taskForm.noCap": "No cap",
+    "tasks.title": "Tasks ({count})",
+    "tasks.create": "Create Task",
+    "tasks.schedule": "Schedule",
+    "tasks.proofLine": "Proof: {proof}",
+    "tasks.perUser": "{count}/user",
+    "tasks.cap": "Cap {amount}",
+    "tasks.now": "Now",
+    "tasks.noEnd": "No end",
+    "tasks.resume": "Resume",
+    "tasks.activate": "Activate",
+    "tasks.pause": "Pause",
+    "tasks.archive": "Archive",
+    "tasks.deleteBlocked": "Users have completed this task; archive it instead",
+    "tasks.none": "No tasks",
+    "submissions.title": "Pending Submissions ({count})",
+    "submissions.shortcuts": "Shortcuts:",
+    "submissions.move": "move",
+    "submissions.approve": "approve",
+    "submissions.reject": "reject",
+    "submissions.confirm": "confirm",
+    "submissions.cancel": "cancel",
+    "submissions.submitted": "Submitted",
+    "submissions.none": "No pending submissions",
+    "proof.screenshotAlt": "Proof screenshot",
+    "withdrawals.title": "Withdrawals ({count})",
+    "export.payoutBatch": "Payout batch (CSV)",
+    "withdrawals.filterRisk": "Filter by risk",
+    "withdrawals.allRisk": "All risk",
+    "withdrawals.mediumPlus": "Medium+",
+    "withdrawals.highOnly": "High only",
+    "withdrawals.sort": "Sort withdrawals",
+    "withdrawals.defaultOrder": "Default order",
+    "withdrawals.riskFirst": "Risk (high first)",
+    "withdrawals.amountFirst": "Amount (high first)",
+    "withdrawals.approveSelected": "Approve selected",
+    "withdrawals.batchReason": "Reason (batch reject)",
+    "withdrawals.rejectSelected": "Reject selected",
+    "withdrawals.selectAllPending": "Select all pending",
+    "withdrawals.changedBy": "Changed by {actor} just now",
+    "withdrawals.secondApprovalTitle": "Second approval (another admin)",
+    "withdrawals.approveSecond": "Approve (2/2)",
+    "withdrawals.firstApprover": "1st: {name}",
+    "withdrawalStatus.PENDING": "Pending",
+    "withdrawalStatus.AWAITING_SECOND_APPROVAL": "Awaiting second approval",
+    "withdrawalStatus.APPROVED": "Approved",
+    "withdrawalStatus.REJECTED": "Rejected",
+    "withdrawalStatus.PAID": "Paid",
+    "withdrawalStatus.FAILED": "Failed",
+    "common.done": "Done",
+    "common.export": "Export",
+    "import.row": "Row {n}",
+    "import.noRows": "The CSV has no rows.",
+    "import.tooMany": "At most {max} rows at a time.",
+    "import.unreadable": "The CSV could not be read.",
+    "import.label": "Import CSV:",
+    "import.aria": "Import tasks CSV",
+    "import.summary": "{rows} rows, {valid} valid, {invalid} invalid",
+    "import.column": "Column {n}",
+    "import.rowHeader": "Row",
+    "import.validation": "Validation",
+    "import.created": "Created",
+    "import.ok": "OK",
+    "import.importing": "Importing...",
+    "import.submit": "Import {count} valid rows",
+    "import.downloadFailures": "Download failures ({count})",
+    "export.format": "Export format",
+    "export.progress": "Exporting {progress}...",
+    "selection.selectAll": "Select all {total} matching",
+    "selection.count": "{count} selected",
+    "batch.resultCounts": "{ok} ok, {failed} failed",
+    "batch.retryFailed": "Retry failed ({count})",
+    "audit.loadFailed": "Could not load the audit log.",
+    "audit.exportFailed": "Audit export failed.",
+    "audit.title": "Audit Log",
+    "audit.historyFor": "History for {type}",
+    "audit.showAll": "Show all",
+    "audit.actorPlaceholder": "Actor (admin)",
+    "audit.actionType": "Action type",
+    "audit.allActions": "All actions",
+    "audit.fromDate": "From date",
+    "audit.toDate": "To date",
+    "audit.none": "No audit entries",
+    "pager.page": "Page {page}",
+    "settings.loadFailed": "Could not load settings.",
+    "settings.historyLoadFailed": "Could not load settings history.",
+    "settings.noChanges": "No changes to save.",
+    "settings.saved": "Saved.",
+    "settings.conflict": "Another admin changed the settings. Refresh before saving.",
+    "settings.saveFailed": "Save failed.",
+    "settings.title": "Settings",
+    "settings.maintenance": "Maintenance",
+    "settings.maintenanceMode": "Maintenance mode (immediate)",
+    "settings.on": "ON",
+    "settings.off": "OFF",
+    "settings.maintenanceMessage": "Maintenance message ({length}/{max})",
+    "settings.payoutRules": "Payout rules",
+    "settings.conversion": "Conversion (points -> $)",
+    "settings.minWithdrawal": "Min withdrawal (USD)",
+    "settings.maxWithdrawal": "Max withdrawal (USD)",
+    "settings.dailyLimit": "Daily limit per user (USD)",
+    "settings.dailyCount": "Daily withdrawals per user",
+    "settings.stepUpThreshold": "Step-up threshold (USD)",
+    "settings.requireSecondApproval": "Require second admin approval above threshold (four-eyes)",
+    "settings.payoutMethods": "Payout methods",
+    "settings.enabled": "Enabled",
+    "settings.feePercent": "Fee %",
+    "settings.feeFixed": "Fixed fee (USD)",
+    "settings.methodEnabled": "{method} enabled",
+    "settings.methodFeePercent": "{method} fee percent",
+    "settings.methodFeeFixed": "{method} fixed fee",
+    "settings.referralBonus": "Referral bonus (USD)",
+    "settings.referrer": "Referrer (inviting user)",
+    "settings.referee": "Referee (new user)",
+    "settings.pendingChanges": "Changes to save ({count}):",
+    "settings.saving": "Saving...",
+    "settings.confirmSave": "Confirm save",
+    "settings.loadDefaults": "Load defaults",
+    "settings.hideHistory": "Hide history",
+    "settings.versionLoaded": "Version {version} loaded; Save to apply it.",
+    "common.actionFailed": "Action failed.",
+    "maintenance.loadFailed": "Could not load maintenance windows.",
+    "maintenance.scheduled": "Maintenance window scheduled.",
+    "maintenance.cancelled": "Window cancelled.",
+    "maintenance.extended": "Window extended by {minutes} minutes.",
+    "maintenanceState.UPCOMING": "Upcoming",
+    "maintenanceState.ACTIVE": "Active",
+    "maintenanceState.PAST": "Past",
+    "maintenanceState.CANCELLED": "Cancelled",
+    "maintenance.confirmCancel": "Confirm cancel",
+    "maintenance.keep": "Keep",
+    "maintenance.extendBy": "Extend by",
+    "maintenance.minutes": "+{minutes} min",
+    "maintenance.extend": "Extend",
+    "maintenance.title": "Scheduled maintenance",
+    "maintenance.timezone": "Timezone",
+    "maintenance.messageSo": "Message (Somali)",
+    "maintenance.messageEn": "Message (English)",
+    "maintenance.preview": "Banner preview (as users will see it)",
+    "maintenance.schedule": "Schedule window",
+    "maintenance.current": "Active & upcoming",
+    "maintenance.none": "No windows scheduled.",
+    "maintenance.past": "Past",
+    "settingsHistory.none": "No history yet.",
+    "settingsHistory.title": "Settings history",
+    "settingsHistory.initial": "Initial",
+    "settingsHistory.load": "Load into form",
+    "outbox.queued": "No connection: \"{action}\" was added to pending sync and will be sent when the connection returns.",
+    "outbox.syncResult": "Pending sync: {synced} sent, {problems} need attention.",
+    "outbox.title": "Pending sync ({count})",
+    "outbox.offline": "Offline — actions will be sent when the connection returns.",
+    "outbox.syncing": "Syncing...",
+    "outbox.syncNow": "Sync now",
+    "outbox.discard": "Discard",
+    "outbox.confirmDiscard": "Discard \"{action}\"? It will not be sent to the server.",
+    "outboxStatus.pending": "Pending",
+    "outboxStatus.conflict": "Conflict",
+    "outboxStatus.failed": "Failed",
+    "outbox.ban": "Ban {id}",
+    "outbox.unban": "Unban {id}",
+    "outbox.approve": "Approve withdrawal {id}",
+    "outbox.reject": "Reject withdrawal {id}",
+    "outbox.addTask": "Create task \"{title}\"",
+    "outbox.settings": "Save settings",
+    "outbox.queuedShort": "Added to pending sync.",
+    "offline.badge": "Offline",
+    "offline.stale": "Cached data from {time} — the server cannot be reached.",
+    "outbox.approveSubmission": "Approve submission {id}",
+    "outbox.rejectSubmission": "Reject submission {id}",
+    "error.unknown": "Unknown error.",
+    "error.forbidden": "Your role does not allow this ({permission}).",
+    "error.timeout": "The server did not respond in time (timeout).",
+    "error.network": "No connection: the server cannot be reached.",
+    "error.validation": "The server rejected the submitted data.",
+    "error.unauthorized": "Your session has expired; please sign in again.",
+    "error.forbiddenServer": "The server does not allow this action.",
+    "error.notFound": "Not found (deleted or wrong id).",
+    "error.rateLimited": "Too many requests; wait a moment and try again.",
+    "error.server": "Server error ({status}); try again.",
+    "error.status": "Request failed ({status}).",
+    "error.ref": "(ref: {id})",
+    "diagnostics.button": "Diagnostics ({count})",
+    "diagnostics.title": "Failed requests",
+    "diagnostics.hint": "Last {max}. Copy into a bug report.",
+    "diagnostics.copy": "Copy",
+    "diagnostics.copied": "Copied.",
+    "diagnostics.copyFailed": "Copy failed; select the text manually.",
+    "diagnostics.none": "No failed requests.",
+    "diagnostics.request": "Request",
+    "diagnostics.latency": "Latency",
+    "diagnostics.retries": "Retries",
+    "diagnostics.label": "Diagnostics",
+    "tabs.payouts": "Payouts",
+    "withdrawalStatus.BATCHED": "In payout batch",
+    "withdrawals.lastFailure": "Previous payout failed: {reason}",
+    "payouts.title": "Payout batches",
+    "payouts.ready": "Ready to pay (approved)",
+    "payouts.noneReady": "No approved withdrawals waiting for a batch.",
+    "payouts.readySummary": "{count} withdrawals · {total}",
+    "payouts.createBatch": "Create batch",
+    "payouts.confirmCreate": "Create a {method} batch: {count} withdrawals, total {total}?",
+    "payouts.created": "{method} batch created ({count}).",
+    "payouts.loadFailed": "Could not load payout batches.",
+    "payouts.createFailed": "Could not create the batch.",
+    "payouts.batches": "Batches",
+    "payouts.noBatches": "No batches yet.",
+    "payouts.batch": "Batch",
+    "payouts.items": "Items",
+    "payouts.hideItems": "Hide items",
+    "payouts.markSent": "Mark as sent",
+    "payouts.confirmSent": "Confirm: batch {id} ({count} withdrawals, {total}) was sent to the provider?",
+    "payouts.sent": "Batch {id} marked as sent.",
+    "payouts.sentFailed": "Could not mark the batch as sent.",
+    "payouts.importResults": "Provider results (CSV):",
+    "payouts.importAria": "Import provider results",
+    "payouts.import.unreadable": "The results file could not be read.",
+    "payouts.import.missingColumns": "The file needs id and status columns.",
+    "payouts.import.notInBatch": "This withdrawal is not in this batch.",
+    "payouts.import.duplicate": "This id appears twice in the file.",
+    "payouts.import.unknownStatus": "Unknown status: \"{status}\".",
+    "payouts.import.defaultReason": "Rejected by the provider (no reason given).",
+    "payouts.import.summary": "{paid} paid, {failed} failed, {problems} invalid, {missing} not in file (stay pending)",
+    "payouts.import.line": "Line",
+    "payouts.reconcile": "Apply results",
+    "payouts.reconciled": "Batch {id}: {paid} PAID, {failed} FAILED (returned to the queue).",
+    "payouts.reconcileFailed": "Could not apply the results.",
+    "payouts.reference": "Reference",
+    "payoutBatchStatus.OPEN": "Open",
+    "payoutBatchStatus.SENT": "Sent",
+    "payoutBatchStatus.RECONCILED": "Reconciled",
+    "payouts.methodCol": "Method",
+    "payouts.summaryCol": "Count / total",
+    "payouts.failureReason": "Reason",
+    "payouts.destination": "Destination",
+    "tabs.notifications": "Notifications",
+    "notifications.error.userRequired": "Enter a user id.",
+    "notifications.error.number": "Enter a valid number.",
+    "notifications.error.balanceRange": "Max cannot be below min.",
+    "notifications.error.titleRequired": "Title is required.",
+    "notifications.error.bodyRequired": "Message is required.",
+    "notifications.error.titleLength": "Title must be at most {max} characters.",
+    "notifications.error.bodyLength": "Message must be at most {max} characters.",
+    "notifications.error.englishPair": "English: fill in both title and message (or leave both empty).",
+    "notifications.error.channel": "Choose at least one channel.",
+    "notifications.error.scheduleRequired": "Choose a send time.",
+    "notifications.error.scheduleInPast": "The send time must be in the future.",
+    "audience.all": "All users",
+    "audience.user": "User {id}",
+    "audience.status.active": "active",
+    "audience.status.banned": "banned",
+    "audience.balanceMin": "balance ≥ {amount}",
+    "audience.balanceMax": "balance ≤ {amount}",
+    "audience.activeWithin": "active in the last {days} days",
+    "audience.segment": "Segment: {filters}",
+    "audience.segmentAll": "Segment: everyone",
+    "notifications.title": "Notifications",
+    "notifications.compose": "Compose",
+    "notifications.audience": "Audience",
+    "notifications.audienceAll": "All users",
+    "notifications.audienceSegment": "Segment (filter)",
+    "notifications.audienceUser": "Single user",
+    "notifications.userId": "User id",
+    "notifications.fromUsers": "Picked from Users",
+    "notifications.status": "Account status",
+    "notifications.anyStatus": "Any",
+    "notifications.minBalance": "Min balance (USD)",
+    "notifications.maxBalance": "Max balance (USD)",
+    "notifications.activeWithin": "Recently active",
+    "notifications.anyTime": "Any time",
+    "notifications.lastDays": "Last {days} days",
+    "notifications.reach": "≈ {count} users will receive this",
+    "notifications.reachLoading": "Estimating recipients...",
+    "notifications.titleSo": "Title (Somali) ({length}/{max})",
+    "notifications.bodySo": "Message (Somali) ({length}/{max})",
+    "notifications.titleEn": "Title (English, optional) ({length}/{max})",
+    "notifications.bodyEn": "Message (English, optional) ({length}/{max})",
+    "notifications.channels": "Channels",
+    "notifications.push": "Push notification",
+    "notifications.inApp": "In-app inbox",
+    "notifications.sendNow": "Send now",
+    "notifications.schedule": "Schedule",
+    "notifications.sendAt": "Send at",
+    "notifications.preview": "Preview (as users will see it)",
+    "notifications.previewNow": "now",
+    "notifications.review": "Review & send",
+    "notifications.confirmSend": "Send \"{title}\" to {audience} (≈ {count} users) now?",
+    "notifications.confirmSchedule": "Schedule \"{title}\" for {audience} (≈ {count} users) at {time}?",
+    "notifications.confirm": "Confirm",
+    "notifications.sent": "Notification sent.",
+    "notifications.scheduled": "Notification scheduled.",
+    "notifications.sendFailed": "Could not send the notification.",
+    "notifications.loadFailed": "Could not load notification history.",
+    "notifications.history": "Sent & scheduled",
+    "notifications.none": "No notifications yet.",
+    "notifications.message": "Message",
+    "notifications.delivery": "Delivery",
+    "notifications.deliveryCounts": "{delivered}/{targeted} delivered",
+    "notifications.deliveryDetail": "{failed} failed · {opened} opened",
+    "notifications.cancelled": "Scheduled notification cancelled.",
+    "notifications.cancelFailed": "Could not cancel.",
+    "notifications.confirmCancel": "Confirm cancel",
+    "notifications.notify": "Notify",
+    "notificationStatus.SCHEDULED": "Scheduled",
+    "notificationStatus.SENDING": "Sending",
+    "notificationStatus.SENT": "Sent",
+    "notificationStatus.CANCELLED": "Cancelled",
+    "notificationStatus.FAILED": "Failed",
+    "withdrawals.fourEyesNote": "After this approval another admin must also approve (four-eyes).",
+    "withdrawals.approveFirst": "Approve (1/2)",
+    "batch.fourEyesNote": "{count} of these also need a second admin (four-eyes).",
+    "notifications.reachUnknown": "Recipient count unknown (the estimate failed).",
+  },
+};
+
+let currentLang = DEFAULT_LANG;
+
+function setLanguage(lang) {
+  currentLang = MESSAGES[lang] ? lang : DEFAULT_LANG;
+}
+
+function tr(key, vars = {}) {
+  const str = MESSAGES[currentLang][key] ?? MESSAGES.en[key] ?? key;
+  return str.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+}
+
+// Key aan catalog-ga ku jirin (tusaale status cusub oo server-ka ah) -> fallback
+function trOr(key, fallback, vars) {
+  return MESSAGES[currentLang][key] != null || MESSAGES.en[key] != null ? tr(key, vars) : fallback;
+}
+
+function formatMoney(value, currency = "USD") {
+  return new Intl.NumberFormat(LANG_LOCALES[currentLang], { style: "currency", currency }).format(Number(value || 0));
+}
+
+function formatNumber(value) {
+  return new Intl.NumberFormat(LANG_LOCALES[currentLang]).format(Number(value || 0));
+}
+
+// value (ISO / ms / Date) -> taariikh + waqti; khalad/madhan -> "-"
+function formatDate(value, options = { dateStyle: "medium", timeStyle: "short" }) {
+  if (value == null || value === "") return "-";
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? "-" : d.toLocaleString(LANG_LOCALES[currentLang], options);
+}
+
+// Luqadda la keydiyay (admin gaar ah ama login screen)
+function readStoredLang(adminId) {
+  try {
+    return localStorage.getItem(adminId ? `${LANG_STORAGE_KEY}:${adminId}` : LANG_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function storeLang(lang, adminId) {
+  try {
+    localStorage.setItem(LANG_STORAGE_KEY, lang);
+    if (adminId) localStorage.setItem(`${LANG_STORAGE_KEY}:${adminId}`, lang);
+  } catch {}
+}
 
 /* =======================
    UTIL: Xaqiijin iyo Helpers
@@ -27,15 +1475,19 @@ function sanitize(str = "") {
   return String(str).replace(/[\u0000-\u001F<>]/g, "").trim();
 }
 
-// Exponential backoff retry helper
+// Exponential backoff retry helper.
+// fn(call): call = { requestId, attempt } -> axios config-ka ("call") si attempts-ku isku X-Request-Id
+// iyo isku diagnostics entry u wadaagaan (hal logical call)
 async function retryWithBackoff(fn, retries = 3, baseDelay = 400) {
+  const requestId = newIdempotencyKey();
   let attempt = 0;
   while (attempt <= retries) {
     try {
-      return await fn();
+      return await fn({ requestId, attempt });
     } catch (err) {
       attempt++;
-      const shouldRetry = err && (!err.response || (err.response && err.response.status >= 500));
+      // isForbidden: client-side permission block -> retry macna ma leh
+      const shouldRetry = err && !err.isForbidden && (!err.response || (err.response && err.response.status >= 500));
       if (!shouldRetry || attempt > retries) throw err;
       const delay = baseDelay * Math.pow(2, attempt - 1) + Math.random() * 100;
       await new Promise((res) => setTimeout(res, delay));
@@ -43,13 +1495,857 @@ async function retryWithBackoff(fn, retries = 3, baseDelay = 400) {
   }
 }
 
+// Expiry-ga token-ka (ms): expiresAt / expiresIn ee response-ka, haddii kale JWT "exp"
+function resolveExpiry(token, data = {}) {
+  if (data.expiresAt) {
+    const t = new Date(data.expiresAt).getTime();
+    if (!isNaN(t)) return t;
+  }
+  if (data.expiresIn) return Date.now() + Number(data.expiresIn) * 1000;
+  try {
+    const payload = JSON.parse(atob(String(token).split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+    if (payload.exp) return payload.exp * 1000;
+  } catch {}
+  return null;
+}
+
+// Login errors -> fariin cad (lockout / too many attempts / attempts remaining)
+function authErrorMessage(err, fallback = tr("auth.loginFailed")) {
+  const res = err?.response;
+  const data = res?.data || {};
+  if (!res) return tr("auth.networkError");
+  if (res.status === 429) {
+    const secs = Number(data.retryAfter || res.headers?.["retry-after"]) || 0;
+    const wait = secs ? ` ${tr("auth.waitMinutes", { minutes: Math.ceil(secs / 60) })}` : "";
+    return `${tr("auth.tooManyAttempts")}${wait}`;
+  }
+  if (res.status === 423) {
+    return data.lockedUntil ? tr("auth.lockedUntil", { until: formatDate(data.lockedUntil) }) : tr("auth.locked");
+  }
+  if (res.status === 401 && data.attemptsRemaining != null) {
+    return `${data.message || tr("auth.invalidCredentials")} ${tr("auth.attemptsRemaining", { attempts: data.attemptsRemaining })}`;
+  }
+  return data.message || fallback;
+}
+
+// Role(s) -> Set of permissions
+function permissionsFor(admin) {
+  if (!admin) return new Set();
+  const roles = Array.isArray(admin.roles) ? admin.roles : admin.role ? [admin.role] : [];
+  const perms = new Set(Array.isArray(admin.permissions) ? admin.permissions : []);
+  roles.forEach((r) => (ROLE_PERMISSIONS[r] || []).forEach((p) => perms.add(p)));
+  return perms;
+}
+
+function hasPermission(perms, permission) {
+  if (!permission) return true;
+  return perms.has("*") || perms.has(permission);
+}
+
+// Permission-ka loo baahan yahay request mutating ah (null = public / read-only)
+function requiredPermission(method, url = "") {
+  if (!method || method.toLowerCase() === "get") return null;
+  const path = url.split("?")[0];
+  if (PUBLIC_ENDPOINTS.includes(path)) return null;
+  const match = ENDPOINT_PERMISSIONS.find(([prefix]) => path.startsWith(prefix));
+  return match ? match[1] : "*";
+}
+
+// Debounce hook: qiimaha wuxuu isbeddelaa kaliya marka user-ku joojiyo qorista
+function useDebouncedValue(value, delay = SEARCH_DEBOUNCE_MS) {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const t = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(t);
+  }, [value, delay]);
+  return debounced;
+}
+
+// Dhis query params-ka /admin/users (kaliya kuwa qiimo leh)
+function buildUserParams(query) {
+  const params = {
+    page: query.page,
+    pageSize: query.pageSize,
+    sort: query.sort,
+    order: query.order,
+  };
+  const q = sanitize(query.search);
+  if (q) params.q = q;
+  if (query.status && query.status !== "all") params.status = query.status;
+  if (query.minBalance !== "" && !isNaN(Number(query.minBalance))) params.minBalance = Number(query.minBalance);
+  if (query.maxBalance !== "" && !isNaN(Number(query.maxBalance))) params.maxBalance = Number(query.maxBalance);
+  return params;
+}
+
+// Audit filters (applied) + target -> query params (page la'aan)
+function buildAuditParams(applied, target) {
+  const params = {};
+  if (sanitize(applied.actor)) params.actor = sanitize(applied.actor);
+  if (applied.action) params.action = applied.action;
+  if (applied.from) params.from = new Date(`${applied.from}T00:00:00`).toISOString();
+  if (applied.to) params.to = new Date(`${applied.to}T23:59:59`).toISOString();
+  if (target) { params.targetType = target.type; params.targetId = sanitize(target.id); }
+  return params;
+}
+
+// http(s) URL sax ah?
+function isHttpUrl(str) {
+  try {
+    const u = new URL(str);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// Integer >= 1 ama "" (unlimited)
+function parseLimit(v) {
+  if (v === "" || v == null) return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 1 ? n : NaN;
+}
+
+// ISO string -> qiimaha <input type="datetime-local"> (waqtiga maxalliga)
+function toDateTimeLocal(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return "";
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+// Task row -> form values (tasks hore ee aan category lahayn -> "other")
+function toTaskForm(t) {
+  return {
+    ...EMPTY_TASK_FORM,
+    title: t.title || "",
+    description: t.description || "",
+    reward: t.reward ?? "",
+    category: t.category || "other",
+    targetUrl: t.targetUrl || "",
+    maxCompletions: t.maxCompletions ?? "",
+    perUserLimit: t.perUserLimit ?? "1",
+    budgetCap: t.budgetCap ?? "",
+    startAt: toDateTimeLocal(t.startAt),
+    endAt: toDateTimeLocal(t.endAt),
+    proofType: t.proofType || "screenshot",
+  };
+}
+
+// Xaqiiji task input. Waxay soo celisaa { task } ama { errors: { field: msg }, error }
+function validateTask(input) {
+  const errors = {};
+  const task = {
+    title: sanitize(input.title),
+    description: sanitize(input.description),
+    reward: Number(input.reward) || 0,
+    category: sanitize(input.category),
+    targetUrl: sanitize(input.targetUrl),
+    maxCompletions: parseLimit(input.maxCompletions),
+    perUserLimit: parseLimit(input.perUserLimit ?? "1") ?? 1,
+    budgetCap: input.budgetCap === "" || input.budgetCap == null ? null : Number(input.budgetCap),
+    startAt: input.startAt ? new Date(input.startAt) : null,
+    endAt: input.endAt ? new Date(input.endAt) : null,
+    proofType: input.proofType || "screenshot",
+  };
+
+  if (!task.title) errors.title = tr("task.error.titleRequired");
+  if (task.reward <= 0) errors.reward = tr("task.error.rewardPositive");
+  if (!TASK_CATEGORIES.includes(task.category)) errors.category = tr("task.error.category");
+  if (!TASK_PROOF_TYPES[task.proofType]) errors.proofType = tr("task.error.proofType");
+  if (task.targetUrl && !isHttpUrl(task.targetUrl)) errors.targetUrl = tr("task.error.targetUrl");
+  if (task.proofType === "link" && !task.targetUrl) errors.targetUrl = tr("task.error.linkNeedsUrl");
+  if (Number.isNaN(task.maxCompletions)) errors.maxCompletions = tr("task.error.maxCompletions");
+  if (Number.isNaN(task.perUserLimit)) errors.perUserLimit = tr("task.error.perUserLimit");
+  else if (task.maxCompletions && task.perUserLimit > task.maxCompletions) errors.perUserLimit = tr("task.error.perUserOverMax");
+  if (task.budgetCap !== null) {
+    if (!(task.budgetCap > 0)) errors.budgetCap = tr("task.error.budgetPositive");
+    else if (task.reward > task.budgetCap) errors.budgetCap = tr("task.error.budgetBelowReward");
+  }
+  if (task.startAt && isNaN(task.startAt.getTime())) errors.startAt = tr("task.error.startDate");
+  if (task.endAt && isNaN(task.endAt.getTime())) errors.endAt = tr("task.error.endDate");
+  else if (task.startAt && task.endAt && task.endAt <= task.startAt) errors.endAt = tr("task.error.endBeforeStart");
+
+  const keys = Object.keys(errors);
+  if (keys.length) return { errors, error: errors[keys[0]] };
+  return {
+    task: {
+      ...task,
+      startAt: task.startAt ? task.startAt.toISOString() : null,
+      endAt: task.endAt ? task.endAt.toISOString() : null,
+    },
+  };
+}
+
+const isApprovable = (w) => APPROVABLE_STATUSES.includes(w.status);
+
+// /admin/payout-policy response -> { stepUpThreshold, requireSecondApproval } (0 = lacag kasta oo > 0 -> step-up)
+function parsePayoutPolicy(data = {}) {
+  const threshold = Number(data.stepUpThreshold ?? STEP_UP_THRESHOLD);
+  return {
+    stepUpThreshold: Number.isFinite(threshold) && threshold >= 0 ? threshold : STEP_UP_THRESHOLD,
+    requireSecondApproval: Boolean(data.requireSecondApproval),
+  };
+}
+
+// Four-eyes: approve-kan kaliya ma dhammeystiro (policy on + threshold ka badan + approve 1aad)
+const needsSecondApproval = (w, policy) =>
+  Boolean(policy.requireSecondApproval) && w.status === "PENDING" && Number(w.amount || 0) > policy.stepUpThreshold;
+
+// Risk index: { [withdrawalId]: { score, level, flags: [{ key, vars }] } } kaliya kuwa approvable (flags -> tr("risk.<key>")).
+// usersById wuxuu ka yimaadaa /admin/users/summary (createdAt, lifetimeEarnings, banCount)
+function buildRiskIndex(withdrawals, usersById = {}, now = Date.now()) {
+  // destination -> userIds kala duwan
+  const destUsers = {};
+  withdrawals.forEach((w) => {
+    if (!w.destination) return;
+    (destUsers[w.destination] = destUsers[w.destination] || new Set()).add(w.userId);
+  });
+
+  const index = {};
+  withdrawals.filter(isApprovable).forEach((w) => {
+    const u = usersById[w.userId] || {};
+    const flags = [];
+    let score = 0;
+    const add = (key, vars = {}) => { score += RISK_WEIGHTS[key]; flags.push({ key, vars }); };
+
+    if (u.createdAt) {
+      const ageDays = Math.floor((now - new Date(u.createdAt).getTime()) / DAY_MS);
+      if (ageDays < RISK_NEW_ACCOUNT_DAYS) add("newAccount", { days: ageDays });
+    }
+    const amount = Number(w.amount || 0);
+    if (u.lifetimeEarnings != null) {
+      const earned = Number(u.lifetimeEarnings || 0);
+      if (amount > earned) add("exceedsEarnings", { earned });
+      else if (earned > 0 && amount / earned >= 0.8) add("amountVsEarnings", { percent: Math.round((amount / earned) * 100) });
+    }
+    const recent = withdrawals.filter((x) => x.userId === w.userId && now - new Date(x.createdAt || 0).getTime() < DAY_MS).length;
+    if (recent >= RISK_VELOCITY_24H) add("velocity", { count: recent });
+    const shared = w.destination && destUsers[w.destination] ? destUsers[w.destination].size - 1 : 0;
+    const sharedTotal = Math.max(shared, Number(u.sharedDestinationAccounts || 0));
+    if (sharedTotal > 0) add("sharedDestination", { count: sharedTotal });
+    if (u.banned || Number(u.banCount || 0) > 0) add("previouslyBanned");
+
+    const level = score >= RISK_LEVELS.HIGH ? "high" : score >= RISK_LEVELS.MEDIUM ? "medium" : "low";
+    index[w.id] = { score, level, flags };
+  });
+  return index;
+}
+
+// riskFilter: all | medium | high
+function filterByRisk(withdrawals, risk, riskFilter) {
+  const minScore = riskFilter === "high" ? RISK_LEVELS.HIGH : riskFilter === "medium" ? RISK_LEVELS.MEDIUM : null;
+  return minScore == null ? withdrawals : withdrawals.filter(w => risk[w.id] && risk[w.id].score >= minScore);
+}
+
+// Date -> "YYYY-MM-DD" (waqtiga maxalliga, <input type="date">)
+function toDateInput(d) {
+  const x = new Date(d);
+  return new Date(x.getTime() - x.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+// Taariikh local + n maalmood (setDate -> DST ma dhaqaajiyo maalinta)
+function shiftDays(value, days) {
+  const d = new Date(value);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+// Range -> range-ka ka horreeya ee isla dhererka leh (comparison)
+function previousRange(from, to) {
+  const start = new Date(`${from}T00:00:00`);
+  const end = new Date(`${to}T00:00:00`);
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  return { from: toDateInput(shiftDays(start, -days)), to: toDateInput(shiftDays(start, -1)) };
+}
+
+// % isbeddel (null marka previous = 0)
+function pctChange(current, previous) {
+  if (!previous) return null;
+  return ((current - previous) / previous) * 100;
+}
+
+/* =======================
+   IMPORT: CSV parse + task mapping
+   ======================= */
+// CSV text -> rows (quotes, "" escape, CRLF, BOM). Rows madhan waa la tuuraa
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// Header-ka CSV -> task field (auto-map): "Max Completions" / "max_completions" -> maxCompletions
+function guessTaskMapping(header) {
+  const norm = (str) => String(str).toLowerCase().replace(/[^a-z0-9]/g, "");
+  return Object.fromEntries(TASK_IMPORT_FIELDS.map((field) => [field, header.findIndex((h) => norm(h) === norm(field))]));
+}
+
+// CSV row + mapping ({ field: columnIndex | -1 }) -> form values
+function csvRowToTaskForm(row, mapping) {
+  return Object.fromEntries(TASK_IMPORT_FIELDS.map((field) => {
+    const idx = mapping[field];
+    const value = idx >= 0 ? (row[idx] ?? "").trim() : "";
+    return [field, value === "" ? EMPTY_TASK_FORM[field] : value];
+  }));
+}
+
+// Provider result file (CSV) -> { results: [{ withdrawalId, status, reason, providerRef }], problems, missing }.
+// Columns waxaa lagu aqoonsadaa magacooda (id/withdrawal_id, status/result, reason/error, reference/txid)
+function parsePayoutResults(text, batch) {
+  const [header = [], ...rows] = parseCsv(text);
+  const norm = (h) => String(h).trim().toLowerCase().replace(/[\s_-]/g, "");
+  const col = (names) => header.findIndex((h) => names.includes(norm(h)));
+  const idCol = col(["id", "withdrawalid", "withdrawal"]);
+  const statusCol = col(["status", "result", "state"]);
+  const reasonCol = col(["reason", "error", "message", "failurereason"]);
+  const refCol = col(["reference", "ref", "providerref", "transactionid", "txid"]);
+  if (idCol === -1 || statusCol === -1) return { error: tr("payouts.import.missingColumns") };
+
+  const inBatch = new Set((batch.items || []).map((i) => String(i.withdrawalId)));
+  const seen = new Set();
+  const results = [];
+  const problems = [];
+  rows.forEach((row, i) => {
+    const line = i + 2; // +2: header + 1-based
+    const id = sanitize(row[idCol] || "");
+    const raw = sanitize(row[statusCol] || "");
+    const status = PAYOUT_RESULT_STATUSES[raw.toLowerCase()];
+    if (!inBatch.has(id)) problems.push({ line, id, error: tr("payouts.import.notInBatch") });
+    else if (seen.has(id)) problems.push({ line, id, error: tr("payouts.import.duplicate") });
+    else if (!status) problems.push({ line, id, error: tr("payouts.import.unknownStatus", { status: raw }) });
+    else {
+      seen.add(id);
+      results.push({
+        withdrawalId: id,
+        status,
+        reason: status === "FAILED" ? sanitize(reasonCol === -1 ? "" : row[reasonCol] || "") || tr("payouts.import.defaultReason") : "",
+        providerRef: refCol === -1 ? "" : sanitize(row[refCol] || ""),
+      });
+    }
+  });
+  const missing = (batch.items || []).filter((i) => !seen.has(String(i.withdrawalId)) && i.status !== "PAID" && i.status !== "FAILED").map((i) => i.withdrawalId);
+  return { results, problems, missing };
+}
+
+/* =======================
+   EXPORT: CSV + XLSX (library la'aan)
+   ======================= */
+// Qiimaha cell-ka: null -> "", object -> JSON
+function cellValue(v) {
+  if (v == null) return "";
+  if (typeof v === "object") return JSON.stringify(v);
+  return v;
+}
+
+// CSV (RFC 4180) + formula injection guard: =, @, tab, CR -> '. +/- kaliya marka qiimuhu aanu
+// ahayn lambar/telefoon cad (+2526..., -5.5 sidiisa -> payout provider / re-import)
+function toCsv(rows) {
+  return rows.map((row) => row.map((v) => {
+    let str = String(v);
+    const formula = /^[=@\t\r]/.test(str) || (/^[+-]/.test(str) && !/^[+-]?\d[\d\s]*(\.\d+)?$/.test(str));
+    if (typeof v === "string" && formula) str = `'${str}`;
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }).join(",")).join("\r\n");
+}
+
+function xmlEscape(str) {
+  return String(str).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[c]))
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+// 0 -> A, 26 -> AA
+function columnName(i) {
+  let name = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Zip (store, compression la'aan): [{ name, data: Uint8Array }] -> [Uint8Array chunks]
+function zipStore(files) {
+  const enc = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  files.forEach((f) => {
+    const name = enc.encode(f.name);
+    const crc = crc32(f.data);
+    const size = f.data.length;
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(12, 33, true); // DOS date 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    chunks.push(new Uint8Array(local.buffer), name, f.data);
+
+    const cd = new DataView(new ArrayBuffer(46));
+    cd.setUint32(0, 0x02014b50, true);
+    cd.setUint16(4, 20, true);
+    cd.setUint16(6, 20, true);
+    cd.setUint16(14, 33, true);
+    cd.setUint32(16, crc, true);
+    cd.setUint32(20, size, true);
+    cd.setUint32(24, size, true);
+    cd.setUint16(28, name.length, true);
+    cd.setUint32(42, offset, true);
+    central.push(new Uint8Array(cd.buffer), name);
+    offset += 30 + name.length + size;
+  });
+  const cdSize = central.reduce((acc, c) => acc + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, cdSize, true);
+  end.setUint32(16, offset, true);
+  return [...chunks, ...central, new Uint8Array(end.buffer)];
+}
+
+// rows (row 1 = header) -> XLSX Blob (hal sheet, inline strings)
+function buildXlsx(rows, sheetName = "Sheet1") {
+  const enc = new TextEncoder();
+  const sheetRows = rows.map((row, r) => `<row r="${r + 1}">${row.map((v, c) => {
+    const ref = `${columnName(c)}${r + 1}`;
+    return typeof v === "number" && isFinite(v)
+      ? `<c r="${ref}"><v>${v}</v></c>`
+      : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+  }).join("")}</row>`).join("");
+  const files = {
+    "[Content_Types].xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+    "_rels/.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    "xl/workbook.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    "xl/worksheets/sheet1.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`,
+  };
+  return new Blob(zipStore(Object.entries(files).map(([name, xml]) => ({ name, data: enc.encode(xml) }))), { type: XLSX_MIME });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Export: GET url bog-bog (EXPORT_PAGE_SIZE) ilaa la dhammeeyo, filter (optional), kadib download.
+// onProgress(fetched, total|null). Waxay soo celisaa tirada rows-ka la export-gareeyay.
+async function exportRows({ api, url, params = {}, key, columns, format = "csv", filename, filter, onProgress }) {
+  let rows = [];
+  for (let page = 1; page <= EXPORT_MAX_PAGES; page++) {
+    const res = await retryWithBackoff((call) => api.get(url, { params: { ...params, page, pageSize: EXPORT_PAGE_SIZE }, call }), 2);
+    const data = res.data || {};
+    const batch = Array.isArray(data) ? data : data[key] || [];
+    rows.push(...batch);
+    if (onProgress) onProgress(rows.length, Array.isArray(data) ? null : data.total ?? null);
+    // array (pagination la'aan) / bog gaaban / total la gaaray -> dhammaad
+    if (Array.isArray(data) || batch.length < EXPORT_PAGE_SIZE || (data.total != null && rows.length >= data.total)) break;
+  }
+  if (filter) rows = filter(rows);
+  downloadTable(toTable(rows, columns), filename, format);
+  return rows.length;
+}
+
+// rows (objects) + columns [[field, label]] -> table (header + values)
+function toTable(rows, columns) {
+  return [columns.map(([, label]) => label), ...rows.map((row) => columns.map(([field]) => cellValue(row[field])))];
+}
+
+// table -> CSV / XLSX download (filename + taariikhda maanta)
+function downloadTable(table, filename, format = "csv") {
+  const stamp = toDateInput(Date.now());
+  if (format === "xlsx") downloadBlob(buildXlsx(table, filename), `${filename}-${stamp}.xlsx`);
+  else downloadBlob(new Blob(["\uFEFF" + toCsv(table)], { type: "text/csv;charset=utf-8" }), `${filename}-${stamp}.csv`);
+}
+
+// before/after -> [{ key, before, after }] kaliya furayaasha isbeddelay
+function diffValues(before, after) {
+  const a = before && typeof before === "object" ? before : {};
+  const b = after && typeof after === "object" ? after : {};
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter((k) => JSON.stringify(a[k]) !== JSON.stringify(b[k]))
+    .map((k) => ({ key: k, before: a[k], after: b[k] }));
+}
+
+// { a: { b: 1 } } -> { "a.b": 1 } (diff-ka settings)
+function flattenSettings(obj, prefix = "") {
+  return Object.entries(obj || {}).reduce((acc, [k, v]) => (
+    v && typeof v === "object" && !Array.isArray(v)
+      ? { ...acc, ...flattenSettings(v, `${prefix}${k}.`) }
+      : { ...acc, [`${prefix}${k}`]: v }
+  ), {});
+}
+
+// /admin/settings response -> settings buuxa (defaults + numbers)
+function normalizeSettings(data = {}) {
+  const d = DEFAULT_SETTINGS;
+  const num = (v, fallback) => (v == null || v === "" || isNaN(Number(v)) ? fallback : Number(v));
+  const methods = data.payoutMethods || {};
+  return {
+    maintenance: Boolean(data.maintenance),
+    maintenanceMessage: data.maintenanceMessage || "",
+    conversion: num(data.conversion, d.conversion),
+    stepUpThreshold: num(data.stepUpThreshold, d.stepUpThreshold),
+    requireSecondApproval: Boolean(data.requireSecondApproval),
+    minWithdrawal: num(data.minWithdrawal, d.minWithdrawal),
+    maxWithdrawal: num(data.maxWithdrawal, d.maxWithdrawal),
+    dailyWithdrawalLimit: num(data.dailyWithdrawalLimit, d.dailyWithdrawalLimit),
+    dailyWithdrawalCount: num(data.dailyWithdrawalCount, d.dailyWithdrawalCount),
+    payoutMethods: Object.fromEntries(PAYOUT_METHODS.map((m) => [m, {
+      enabled: Boolean(methods[m]?.enabled ?? d.payoutMethods[m].enabled),
+      feePercent: num(methods[m]?.feePercent, 0),
+      feeFixed: num(methods[m]?.feeFixed, 0),
+    }])),
+    referralBonus: { referrer: num(data.referralBonus?.referrer, 0), referee: num(data.referralBonus?.referee, 0) },
+  };
+}
+
+// Xaqiiji settings form. Waxay soo celisaa { settings } ama { errors: { "field.path": msg }, error }
+function validateSettings(form) {
+  const settings = normalizeSettings({ ...form, maintenanceMessage: sanitize(form.maintenanceMessage) });
+  const errors = {};
+  const invalid = (v) => v === "" || v == null || isNaN(Number(v));
+  const flatForm = flattenSettings(form);
+  Object.keys(flatForm).forEach((k) => {
+    if (typeof DEFAULT_SETTINGS[k] === "number" || /\.(feePercent|feeFixed|referrer|referee)$/.test(k)) {
+      if (invalid(flatForm[k])) errors[k] = tr("settings.error.number");
+    }
+  });
+  if (!errors.conversion && !(settings.conversion > 0)) errors.conversion = tr("settings.error.conversion");
+  if (!errors.stepUpThreshold && settings.stepUpThreshold < 0) errors.stepUpThreshold = tr("settings.error.threshold");
+  if (!errors.minWithdrawal && !(settings.minWithdrawal > 0)) errors.minWithdrawal = tr("settings.error.minWithdrawal");
+  if (!errors.maxWithdrawal && settings.maxWithdrawal < settings.minWithdrawal) errors.maxWithdrawal = tr("settings.error.maxWithdrawal");
+  if (!errors.dailyWithdrawalLimit && settings.dailyWithdrawalLimit < settings.minWithdrawal) errors.dailyWithdrawalLimit = tr("settings.error.dailyLimit");
+  if (!errors.dailyWithdrawalCount && !(Number.isInteger(settings.dailyWithdrawalCount) && settings.dailyWithdrawalCount >= 1)) errors.dailyWithdrawalCount = tr("settings.error.dailyCount");
+  PAYOUT_METHODS.forEach((m) => {
+    const { feePercent, feeFixed } = settings.payoutMethods[m];
+    if (!errors[`payoutMethods.${m}.feePercent`] && (feePercent < 0 || feePercent > 100)) errors[`payoutMethods.${m}.feePercent`] = tr("settings.error.feePercent");
+    if (!errors[`payoutMethods.${m}.feeFixed`] && feeFixed < 0) errors[`payoutMethods.${m}.feeFixed`] = tr("settings.error.feeFixed");
+  });
+  if (!PAYOUT_METHODS.some((m) => settings.payoutMethods[m].enabled)) errors.payoutMethods = tr("settings.error.noMethod");
+  ["referrer", "referee"].forEach((k) => {
+    if (!errors[`referralBonus.${k}`] && settings.referralBonus[k] < 0) errors[`referralBonus.${k}`] = tr("settings.error.bonus");
+  });
+  if (settings.maintenanceMessage.length > MAINTENANCE_MESSAGE_MAX) errors.maintenanceMessage = tr("settings.error.messageLength", { max: MAINTENANCE_MESSAGE_MAX });
+  else if (settings.maintenance && !settings.maintenanceMessage) errors.maintenanceMessage = tr("settings.error.messageRequired");
+
+  const keys = Object.keys(errors);
+  if (keys.length) return { errors, error: errors[keys[0]] };
+  return { settings };
+}
+
+// timeZone-ka offset-kiisa (daqiiqado) waqtigaas: Africa/Mogadishu -> 180
+function tzOffsetMinutes(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(date).map((p) => [p.type, Number(p.value)]));
+  return (Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - date.getTime()) / 60000;
+}
+
+// datetime-local ("2026-01-01T10:00") oo ah waqtiga timeZone -> Date (UTC). Khalad -> null
+function zonedToUtc(local, timeZone) {
+  const guess = new Date(`${local}:00Z`);
+  if (!local || isNaN(guess.getTime())) return null;
+  const first = new Date(guess.getTime() - tzOffsetMinutes(guess, timeZone) * 60000);
+  // DST: offset-ka waqtiga dhabta ah dib u xisaabi
+  return new Date(guess.getTime() - tzOffsetMinutes(first, timeZone) * 60000);
+}
+
+function formatInZone(value, timeZone) {
+  return `${formatDate(value, { timeZone, dateStyle: "medium", timeStyle: "short" })} (${timeZone})`;
+}
+
+// Xaqiiji maintenance window. Waxay soo celisaa { window } ama { errors, error }
+function validateMaintenanceWindow(form, now = Date.now()) {
+  const errors = {};
+  const start = zonedToUtc(form.startAt, form.timezone);
+  const end = zonedToUtc(form.endAt, form.timezone);
+  const message = { so: sanitize(form.messageSo), en: sanitize(form.messageEn) };
+  if (!start) errors.startAt = tr("maintenance.error.startRequired");
+  if (!end) errors.endAt = tr("maintenance.error.endRequired");
+  else if (start && end <= start) errors.endAt = tr("maintenance.error.endBeforeStart");
+  else if (end.getTime() <= now) errors.endAt = tr("maintenance.error.endInPast");
+  ["so", "en"].forEach((lang) => {
+    const key = lang === "so" ? "messageSo" : "messageEn";
+    if (!message[lang]) errors[key] = tr("maintenance.error.messageRequired");
+    else if (message[lang].length > MAINTENANCE_MESSAGE_MAX) errors[key] = tr("maintenance.error.messageLength", { max: MAINTENANCE_MESSAGE_MAX });
+  });
+  const keys = Object.keys(errors);
+  if (keys.length) return { errors, error: errors[keys[0]] };
+  return { window: { startAt: start.toISOString(), endAt: end.toISOString(), timezone: form.timezone, message } };
+}
+
+// CANCELLED | UPCOMING | ACTIVE | PAST (waqtiga hadda)
+function maintenanceStatus(w, now = Date.now()) {
+  if (w.status === "CANCELLED") return "CANCELLED";
+  if (now < new Date(w.startAt).getTime()) return "UPCOMING";
+  if (now < new Date(w.endAt).getTime()) return "ACTIVE";
+  return "PAST";
+}
+
+// Notification audience -> payload-ka server-ka (segment: status / balance / firfircoonida dhawaan)
+function buildAudience(form) {
+  if (form.audience === "user") return { type: "user", userId: sanitize(form.userId) };
+  if (form.audience !== "segment") return { type: "all" };
+  const filters = {};
+  if (form.status !== "all") filters.status = form.status;
+  if (form.minBalance !== "" && !isNaN(Number(form.minBalance))) filters.minBalance = Number(form.minBalance);
+  if (form.maxBalance !== "" && !isNaN(Number(form.maxBalance))) filters.maxBalance = Number(form.maxBalance);
+  if (form.activeWithinDays) filters.activeWithinDays = Number(form.activeWithinDays);
+  return { type: "segment", filters };
+}
+
+// Audience -> qoraal gaaban (confirm + history)
+function describeAudience(audience = {}) {
+  if (audience.type === "user") return tr("audience.user", { id: audience.userId });
+  if (audience.type !== "segment") return tr("audience.all");
+  const f = audience.filters || {};
+  const parts = [];
+  if (f.status) parts.push(tr(`audience.status.${f.status}`));
+  if (f.minBalance != null) parts.push(tr("audience.balanceMin", { amount: formatMoney(f.minBalance) }));
+  if (f.maxBalance != null) parts.push(tr("audience.balanceMax", { amount: formatMoney(f.maxBalance) }));
+  if (f.activeWithinDays) parts.push(tr("audience.activeWithin", { days: f.activeWithinDays }));
+  return parts.length ? tr("audience.segment", { filters: parts.join(", ") }) : tr("audience.segmentAll");
+}
+
+// Notification form -> { notification } ama { errors, error }. Somali waa qasab; English waa optional (labadaba ama midna)
+function validateNotification(form, now = Date.now()) {
+  const errors = {};
+  const number = (v) => v === "" || !isNaN(Number(v));
+  if (form.audience === "user" && !sanitize(form.userId)) errors.userId = tr("notifications.error.userRequired");
+  if (form.audience === "segment") {
+    if (!number(form.minBalance)) errors.minBalance = tr("notifications.error.number");
+    if (!number(form.maxBalance)) errors.maxBalance = tr("notifications.error.number");
+    else if (form.minBalance !== "" && form.maxBalance !== "" && Number(form.maxBalance) < Number(form.minBalance)) errors.maxBalance = tr("notifications.error.balanceRange");
+  }
+  const text = { titleSo: sanitize(form.titleSo), bodySo: sanitize(form.bodySo), titleEn: sanitize(form.titleEn), bodyEn: sanitize(form.bodyEn) };
+  if (!text.titleSo) errors.titleSo = tr("notifications.error.titleRequired");
+  if (!text.bodySo) errors.bodySo = tr("notifications.error.bodyRequired");
+  if (Boolean(text.titleEn) !== Boolean(text.bodyEn)) errors[text.titleEn ? "bodyEn" : "titleEn"] = tr("notifications.error.englishPair");
+  ["titleSo", "titleEn"].forEach((k) => {
+    if (!errors[k] && text[k].length > NOTIFICATION_TITLE_MAX) errors[k] = tr("notifications.error.titleLength", { max: NOTIFICATION_TITLE_MAX });
+  });
+  ["bodySo", "bodyEn"].forEach((k) => {
+    if (!errors[k] && text[k].length > NOTIFICATION_BODY_MAX) errors[k] = tr("notifications.error.bodyLength", { max: NOTIFICATION_BODY_MAX });
+  });
+  if (!form.push && !form.inApp) errors.channels = tr("notifications.error.channel");
+  let sendAt = null;
+  if (form.sendMode === "schedule") {
+    sendAt = zonedToUtc(form.scheduleAt, form.timezone);
+    if (!sendAt) errors.scheduleAt = tr("notifications.error.scheduleRequired");
+    else if (sendAt.getTime() <= now) errors.scheduleAt = tr("notifications.error.scheduleInPast");
+  }
+  const keys = Object.keys(errors);
+  if (keys.length) return { errors, error: errors[keys[0]] };
+  const message = { so: { title: text.titleSo, body: text.bodySo } };
+  if (text.titleEn) message.en = { title: text.titleEn, body: text.bodyEn };
+  return {
+    notification: {
+      audience: buildAudience(form),
+      message,
+      channels: [form.push && "push", form.inApp && "inApp"].filter(Boolean),
+      sendAt: sendAt ? sendAt.toISOString() : null,
+      timezone: form.timezone,
+    },
+  };
+}
+
+// Ku dar/ka saar id liiska la doortay
+function toggleId(list, id) {
+  return list.includes(id) ? list.filter((x) => x !== id) : [...list, id];
+}
+
+// Idempotency key: mid action kasta; retries-ka isku key ayay wadaagaan
+function newIdempotencyKey() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Version-ka row-ga (optimistic concurrency) liis ka dhex
+function versionOf(list, id) {
+  const row = list.find((x) => x.id === id);
+  return row ? row.version : undefined;
+}
+
+// Mutating POST: Idempotency-Key (hal mar, retries oo dhan) + If-Match (row version).
+// idempotencyKey: outbox replay wuxuu isticmaalaa key-gii asalka (server-ku ha iska dhaafo labajibbaarka)
+function postMutation(api, url, body, { version, retries = 2, idempotencyKey = newIdempotencyKey() } = {}) {
+  const headers = { "Idempotency-Key": idempotencyKey };
+  if (version != null) headers["If-Match"] = String(version);
+  return retryWithBackoff((call) => api.post(url, body, { headers, call }), retries);
+}
+
+// 409 (already processed) / 412 (version mismatch) -> fariin cad
+function conflictMessage(err) {
+  const data = err?.response?.data || {};
+  const cur = data.current || {};
+  const by = cur.updatedByName || cur.updatedBy ? tr("conflict.by", { name: cur.updatedByName || cur.updatedBy }) : "";
+  const state = cur.status ? tr("conflict.state", { status: cur.status }) : "";
+  return tr(err?.response?.status === 409 ? "conflict.alreadyProcessed" : "conflict.modified", { by, state });
+}
+
+// Jawaab server ma jirto (offline, timeout, DNS) -> outbox / cache. 4xx/5xx iyo RBAC block ma aha.
+function isNetworkError(err) {
+  return Boolean(err) && !err.response && !err.isForbidden && !err.isQueued;
+}
+
+// Outbox: [{ id (= Idempotency-Key), label: { key, vars }, url, body, version, createdAt, status, error }]
+// status: pending | conflict | failed
+function readOutbox(adminId) {
+  try {
+    const items = JSON.parse(localStorage.getItem(`${OUTBOX_STORAGE_KEY}:${adminId}`) || "[]");
+    return Array.isArray(items) ? items : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeOutbox(adminId, items) {
+  try {
+    const key = `${OUTBOX_STORAGE_KEY}:${adminId}`;
+    if (items.length) localStorage.setItem(key, JSON.stringify(items));
+    else localStorage.removeItem(key);
+  } catch {}
+}
+
+// Read cache (tab + query): { data, at }; offline -> xogtii ugu dambeysay ee query-gaas + stale indicator.
+// query = JSON params-ka (bog/sort/filter/search) -> bog kale lagama tuso pager-ka cusub
+function readCache(adminId, tab, query = "") {
+  if (adminId == null) return null;
+  try {
+    const entries = JSON.parse(sessionStorage.getItem(`${READ_CACHE_KEY}:${adminId}:${tab}`) || "{}");
+    return entries[query] || null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(adminId, tab, data, query = "") {
+  if (adminId == null) return; // admin la'aan -> key "undefined" ha abuurin
+  const key = `${READ_CACHE_KEY}:${adminId}:${tab}`;
+  try {
+    const entries = JSON.parse(sessionStorage.getItem(key) || "{}");
+    entries[query] = { data, at: Date.now() };
+    const recent = Object.entries(entries).sort((a, b) => b[1].at - a[1].at).slice(0, READ_CACHE_PER_TAB);
+    sessionStorage.setItem(key, JSON.stringify(Object.fromEntries(recent)));
+  } catch {} // quota -> cache la'aan ayaa lagu sii socdaa
+}
+
+// Logout: xogta users/withdrawals ha ku harin device-ka
+function clearCache(adminId) {
+  try {
+    const prefix = `${READ_CACHE_KEY}:${adminId}:`;
+    Object.keys(sessionStorage).filter((k) => k.startsWith(prefix)).forEach((k) => sessionStorage.removeItem(k));
+  } catch {}
+}
+
+// Error model: status + server message -> fariin qof fahmi karo (toast, batch, outbox)
+function describeError(err) {
+  if (!err) return tr("error.unknown");
+  if (err.isForbidden) return tr("error.forbidden", { permission: err.permission });
+  const res = err.response;
+  if (!res) return err.code === "ECONNABORTED" ? tr("error.timeout") : tr("error.network");
+  const serverMessage = typeof res.data?.message === "string" ? sanitize(res.data.message) : "";
+  if (res.status === 409 || res.status === 412) return conflictMessage(err);
+  if (res.status === 400 || res.status === 422) return serverMessage || tr("error.validation");
+  if (res.status === 401) return tr("error.unauthorized");
+  if (res.status === 403) return serverMessage || tr("error.forbiddenServer");
+  if (res.status === 404) return tr("error.notFound");
+  if (res.status === 429) return tr("error.rateLimited");
+  if (res.status >= 500) return tr("error.server", { status: res.status });
+  return serverMessage || tr("error.status", { status: res.status });
+}
+
+// Toast: context (maxaa fashilmay) + sababta + request id (support-ku server log-ga ayuu ka raadiyaa)
+function errorMessage(err, context = "") {
+  const reason = describeError(err);
+  const ref = err?.requestId ? ` ${tr("error.ref", { id: err.requestId })}` : "";
+  // conflict: fariinteedu keligeed ayaa cad
+  return context && !err?.isConflict ? `${context} ${reason}${ref}` : `${reason}${ref}`;
+}
+
+// Diagnostics -> qoraal bug report (hal line request kasta)
+function formatDiagnostics(entries, admin) {
+  const head = [
+    `TaskEarn Admin diagnostics — ${new Date().toISOString()}`,
+    `API: ${DEFAULT_API}`,
+    `Admin: ${admin?.id || admin?.name || "-"}`,
+    `UA: ${typeof navigator !== "undefined" ? navigator.userAgent : "-"}`,
+    "",
+  ];
+  const rows = entries.map((e) => [
+    new Date(e.at).toISOString(), e.method, e.url, e.status ?? e.code ?? "network",
+    `${e.latencyMs}ms`, `retries=${e.retries}`, `id=${e.requestId}`, e.message,
+  ].join(" | "));
+  return [...head, ...rows].join("\n");
+}
+
+// Batch runner: fn(id) mid walba (fn-ku wuxuu isticmaalaa postMutation -> retry), concurrency xaddidan.
+// Waxay soo celisaa natiijo per-item: [{ id, ok, error }]
+async function runBatch(ids, fn, concurrency = BATCH_CONCURRENCY) {
+  const results = new Array(ids.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < ids.length) {
+      const i = next++;
+      try {
+        await fn(ids[i]);
+        results[i] = { id: ids[i], ok: true };
+      } catch (err) {
+        const error = describeError(err);
+        results[i] = { id: ids[i], ok: false, error };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, ids.length) }, worker));
+  return results;
+}
+
 /* =======================
    AXIOS INSTANCE (SECURE PATTERN)
    - Adds admin-token header from memory
    - Adds common security headers
+   - Blocks mutating requests the admin's role lacks (RBAC)
    - Timeout + response handling
    ======================= */
-function createAdminAxios(getToken) {
+function createAdminAxios(getToken, getPermissions = () => new Set(["*"]), onUnauthorized = () => {}, onRequestFailed = () => {}) {
   const a = axios.create({
     baseURL: DEFAULT_API,
     timeout: 12_000, // 12s
@@ -61,6 +2357,17 @@ function createAdminAxios(getToken) {
 
   // Attach token on requests
   a.interceptors.request.use((config) => {
+    const needed = requiredPermission(config.method, config.url);
+    if (needed && !hasPermission(getPermissions(), needed)) {
+      const err = new Error(`Permission denied (${needed})`);
+      err.isForbidden = true;
+      err.permission = needed;
+      throw err;
+    }
+    // request id (retryWithBackoff: hal id logical call kasta) + waqtiga bilowga (latency) -> diagnostics
+    const call = config.call || {};
+    config.metadata = { requestId: call.requestId || newIdempotencyKey(), retries: call.attempt || 0, startedAt: Date.now() };
+    config.headers[REQUEST_ID_HEADER] = config.metadata.requestId;
     const t = getToken();
     if (t) {
       config.headers["Authorization"] = `Bearer ${t}`;
@@ -74,9 +2381,33 @@ function createAdminAxios(getToken) {
   a.interceptors.response.use(
     (res) => res,
     (err) => {
-      // If 401 -> token invalid: throw special error
+      // 409/412 -> row-ga waa la xalliyay / beddelay (optimistic concurrency)
+      if (err.response && (err.response.status === 409 || err.response.status === 412)) {
+        err.isConflict = true;
+      }
+      // If 401 -> token invalid: mark + global handler (auth endpoints-ka mooyee)
       if (err.response && err.response.status === 401) {
         err.isUnauthorized = true;
+        const url = (err.config && err.config.url) || "";
+        if (!url.startsWith("/admin/auth")) onUnauthorized(err);
+      }
+      // Diagnostics: request id (server-ka haddii uu soo celiyo) + latency; RBAC block ma aha request
+      const meta = err.config && err.config.metadata;
+      if (meta) {
+        err.requestId = (err.response && err.response.headers && err.response.headers["x-request-id"]) || meta.requestId;
+        err.diagnostic = {
+          callId: meta.requestId, // retry kasta isla entry-ga ayuu cusboonaysiiyaa
+          requestId: err.requestId,
+          method: String(err.config.method || "get").toUpperCase(),
+          url: err.config.url || "",
+          status: err.response ? err.response.status : null,
+          code: err.code || null,
+          message: describeError(err),
+          latencyMs: Date.now() - meta.startedAt,
+          retries: meta.retries,
+          at: Date.now(),
+        };
+        onRequestFailed(err.diagnostic);
       }
       return Promise.reject(err);
     }
@@ -85,31 +2416,146 @@ function createAdminAxios(getToken) {
   return a;
 }
 
+/* =======================
+   LIVE CHANNEL
+   - WebSocket: token-ka waxaa lagu diraa fariinta 1aad (URL-ka laguma daro)
+   - Reconnect with backoff; LIVE_MAX_RECONNECTS kadib -> status "polling"
+   - onEvent({ type, data, actorId, actorName })
+   ======================= */
+function createLiveChannel({ getToken, onEvent, onStatus }) {
+  let ws = null;
+  let closed = false;
+  let attempts = 0;
+  let timer = null;
+
+  const connect = () => {
+    if (closed) return;
+    if (typeof WebSocket === "undefined") return onStatus("polling");
+    onStatus("connecting");
+    try {
+      ws = new WebSocket(LIVE_WS_URL);
+    } catch (e) {
+      console.warn("live connect", e);
+      return onStatus("polling");
+    }
+    ws.onopen = () => {
+      attempts = 0;
+      ws.send(JSON.stringify({ type: "auth", token: getToken() }));
+      onStatus("live");
+    };
+    ws.onmessage = (m) => {
+      try { onEvent(JSON.parse(m.data)); } catch (e) { console.warn("live message", e); }
+    };
+    ws.onclose = () => {
+      if (closed) return;
+      attempts++;
+      if (attempts > LIVE_MAX_RECONNECTS) {
+        onStatus("polling");
+        timer = setTimeout(() => { attempts = 0; connect(); }, LIVE_RETRY_WS_MS);
+        return;
+      }
+      onStatus("connecting");
+      timer = setTimeout(connect, Math.min(30_000, 1000 * Math.pow(2, attempts)));
+    };
+  };
+
+  connect();
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      if (ws) ws.close();
+    },
+  };
+}
+
 /* =======================
    MAIN APP
    ======================= */
 export default function App() {
   // token stored in memory (preferred)
   const tokenRef = useRef(null);
+  const expiresAtRef = useRef(null); // ms; null = lama yaqaan
+  const returnTabRef = useRef(null); // tab-ka la joogay marka 401/idle logout dhacay
+  const lastActivityRef = useRef(Date.now());
 
   // UI state
   const [ready, setReady] = useState(false);
   const [authChecked, setAuthChecked] = useState(false);
   const [adminUser, setAdminUser] = useState(null);
-  const [activeTab, setActiveTab] = useState("dashboard"); // dashboard | users | tasks | withdrawals | settings
+  const [activeTab, setActiveTab] = useState("dashboard"); // dashboard | users | tasks | submissions | withdrawals | audit | settings
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState(null);
   const [dangerConfirm, setDangerConfirm] = useState(null); // { action: fn, text }
+  const [lang, setLang] = useState(() => readStoredLang() || DEFAULT_LANG);
+  setLanguage(lang); // render kasta kahor: tr() / formatters waxay akhriyaan luqadda hadda
+  const [loginChallenge, setLoginChallenge] = useState(null); // { challengeToken, remember } -> TOTP step
+  const [sessionVersion, setSessionVersion] = useState(0); // kordhi -> refresh timer dib u jadwaleey
+  const [idleRemaining, setIdleRemaining] = useState(null); // seconds (warning) ama null
+  const [liveStatus, setLiveStatus] = useState("offline"); // offline | connecting | live | polling
+  const [liveStats, setLiveStats] = useState(null); // overview counters (push)
+  const [liveChanges, setLiveChanges] = useState({}); // withdrawalId -> { actor, at }
+  const [online, setOnline] = useState(() => typeof navigator === "undefined" || navigator.onLine !== false);
+  const [outbox, setOutbox] = useState([]); // pending sync (outboxRef ayaa ah source of truth)
+  const [syncing, setSyncing] = useState(false);
+  const [staleSince, setStaleSince] = useState({}); // tab -> ms: xog cache ah (server lama gaari karo)
+  const [payoutPolicy, setPayoutPolicy] = useState({ stepUpThreshold: STEP_UP_THRESHOLD, requireSecondApproval: false });
   const [users, setUsers] = useState([]);
   const [tasks, setTasks] = useState([]);
+  const [submissions, setSubmissions] = useState([]);
   const [withdrawals, setWithdrawals] = useState([]);
+  const [withdrawalUsers, setWithdrawalUsers] = useState({}); // userId -> risk context
   const [searchQuery, setSearchQuery] = useState("");
+  const [userQuery, setUserQuery] = useState({
+    page: 1,
+    pageSize: USERS_PAGE_SIZE,
+    sort: "created", // balance | created | status
+    order: "desc",
+    search: "", // debouncedSearch (page: 1 isla update-ka)
+    status: "all", // all | active | banned
+    minBalance: "",
+    maxBalance: "",
+  });
+  const [usersTotal, setUsersTotal] = useState(0);
+  const [selectedUsers, setSelectedUsers] = useState([]); // user ids (across pages)
+  const [selectedWithdrawals, setSelectedWithdrawals] = useState([]); // withdrawal ids
+  const [batchResult, setBatchResult] = useState(null); // { label, results, retry }
+  const [detailUserId, setDetailUserId] = useState(null); // user drawer (null = xiran)
+  const [detailVersion, setDetailVersion] = useState(0); // kordhi -> drawer-ku dib u load
+  const [auditTarget, setAuditTarget] = useState(null); // { type, id } -> Audit tab filter
+  const [notifyUserId, setNotifyUserId] = useState(null); // Users "Notify" -> Notifications tab (hal user)
+  const debouncedSearch = useDebouncedValue(searchQuery);
 
   // token getter
   const getToken = () => tokenRef.current;
 
+  // tab-ka hadda (ref -> timers / 401 handler)
+  const activeTabRef = useRef(activeTab);
+  activeTabRef.current = activeTab;
+  const usersReqRef = useRef(0); // loadUsers request counter (stale guard)
+  // lists-ka ugu dambeeyay (ref) -> batch retry version-ka waqtiga call-ka ayuu akhriyaa
+  const latestRef = useRef({ users, withdrawals });
+  latestRef.current = { users, withdrawals };
+
+  // RBAC: permissions-ka admin-ka hadda (ref -> axios interceptor)
+  const permissions = useMemo(() => permissionsFor(adminUser), [adminUser]);
+  const permissionsRef = useRef(permissions);
+  permissionsRef.current = permissions;
+  const can = (permission) => hasPermission(permissions, permission);
+
+  // 401 handler (ref -> had iyo jeer version-ka ugu dambeeyay)
+  const unauthorizedRef = useRef(() => {});
+
+  // Diagnostics: requests-ka fashilmay (memory keliya). Ref: retryWithBackoff ayaa entry-ga retries-kiisa cusboonaysiiya
+  const [diagnostics, setDiagnostics] = useState([]);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  // retry (isla callId) -> entry-gii hore ayaa la beddelaa (retries + status-ka ugu dambeeyay)
+  const recordFailure = (entry) => {
+    setDiagnostics((list) => [entry, ...list.filter((e) => e.callId !== entry.callId)].slice(0, DIAGNOSTICS_MAX));
+  };
+
   // axios instance
-  const api = useMemo(() => createAdminAxios(getToken), []);
+  const api = useMemo(() => createAdminAxios(getToken, () => permissionsRef.current, (err) => unauthorizedRef.current(err), recordFailure), []);
 
   /* =======================
      AUTH: Load token from sessionStorage optionally and validate with server
@@ -121,6 +2567,7 @@ export default function App() {
       const maybe = sessionStorage.getItem(ADMIN_TOKEN_KEY);
       if (maybe) {
         tokenRef.current = sanitize(maybe);
+        expiresAtRef.current = Number(sessionStorage.getItem(ADMIN_TOKEN_EXP_KEY)) || resolveExpiry(tokenRef.current);
       }
     } catch (e) {
       console.warn("sessionStorage error", e);
@@ -135,14 +2582,16 @@ export default function App() {
       }
       setLoading(true);
       try {
-        const res = await retryWithBackoff(() => api.get("/admin/me"), 2);
+        const res = await retryWithBackoff((call) => api.get("/admin/me", { call }), 2);
+        if (res.data?.expiresAt) expiresAtRef.current = resolveExpiry(tokenRef.current, res.data);
         setAdminUser(res.data?.admin || { name: "admin" });
       } catch (err) {
         console.warn("Token validation failed:", err);
         // token invalid -> clear
         tokenRef.current = null;
-        try { sessionStorage.removeItem(ADMIN_TOKEN_KEY); } catch {}
-        setMessage("Token invalid, fadlan login mar kale.");
+        expiresAtRef.current = null;
+        try { sessionStorage.removeItem(ADMIN_TOKEN_KEY); sessionStorage.removeItem(ADMIN_TOKEN_EXP_KEY); } catch {}
+        setMessage(tr("app.tokenInvalid"));
       } finally {
         setLoading(false);
         setAuthChecked(true);
@@ -155,557 +2604,3411 @@ export default function App() {
   /* =======================
      AUTH: Login & Logout
      ======================= */
-  const handleLogin = async (secret, remember = false) => {
-    secret = sanitize(secret);
-    if (!secret) return setMessage("Fadlan geli token ama sirta admin-ka.");
+  // Step 1: username + password -> TOTP challenge (ama token haddii server-ku si toos ah u bixiyo)
+  const handleLogin = async (username, password, remember = false) => {
+    username = sanitize(username);
+    // password lama sanitize-gareeyo (characters kasta waa sax)
+    if (!username || !password) return setMessage(tr("login.missingCredentials"));
 
     setLoading(true);
     setMessage(null);
     try {
-      // send to backend to exchange for session token and validate
-      const res = await retryWithBackoff(() => api.post("/admin/auth", { secret }), 2);
-      const token = res.data?.token;
-      if (!token) throw new Error("No token received");
-      // store token in memory
-      tokenRef.current = token;
-      // Optional session persistence (sessionStorage only)
-      if (remember) {
-        try { sessionStorage.setItem(ADMIN_TOKEN_KEY, token); } catch {}
-      } else {
-        try { sessionStorage.removeItem(ADMIN_TOKEN_KEY); } catch {}
+      // retry la'aan: password-ka mar kaliya dir (failed attempts -> lockout)
+      const res = await api.post("/admin/auth/login", { username, password });
+      if (res.data?.challengeToken) {
+        setLoginChallenge({ challengeToken: res.data.challengeToken, remember });
+        return;
       }
-      // fetch profile
-      const me = await api.get("/admin/me");
-      setAdminUser(me.data.admin || { name: "admin" });
-      setAuthChecked(true);
-      setMessage("Ku soo dhawoow admin.");
+      await completeLogin(res.data, remember);
     } catch (err) {
       console.error(err);
-      setMessage(err?.response?.data?.message || "Login failed. Hubi tokenka.");
+      setMessage(authErrorMessage(err, tr("login.failedCheck")));
     } finally {
       setLoading(false);
     }
   };
 
-  const handleLogout = () => {
-    // clear memory + session
-    tokenRef.current = null;
-    try { sessionStorage.removeItem(ADMIN_TOKEN_KEY); } catch {}
-    setAdminUser(null);
-    setMessage("Waa lagaa saaray (logged out).");
-    setActiveTab("dashboard");
-  };
+  // Step 2: TOTP code (6 god) ama recovery code
+  const handleVerifyTotp = async (code, useRecovery = false) => {
+    if (!loginChallenge) return;
+    code = sanitize(code).replace(/\s+/g, "");
+    if (!code) return setMessage(tr(useRecovery ? "login.enterRecovery" : "login.enterCode"));
+    if (!useRecovery && !/^\d{6}$/.test(code)) return setMessage(tr("login.codeDigits"));
 
-  /* =======================
-     DATA LOADERS
-     - Each loader uses retry/backoff
-     ======================= */
-  const loadUsers = async () => {
     setLoading(true);
+    setMessage(null);
     try {
-      const res = await retryWithBackoff(() => api.get("/admin/users"), 2);
-      setUsers(Array.isArray(res.data) ? res.data : res.data.users || []);
+      const body = { challengeToken: loginChallenge.challengeToken, ...(useRecovery ? { recoveryCode: code } : { code }) };
+      // retry la'aan: code-ku waa one-time (recovery code ha lumin)
+      const res = await api.post("/admin/auth/totp", body);
+      await completeLogin(res.data, loginChallenge.remember);
+      const left = res.data?.recoveryCodesRemaining;
+      if (useRecovery && left != null) {
+        setMessage(tr(left <= 2 ? "login.recoveryLow" : "login.recoveryLeft", { left }));
+      }
     } catch (err) {
-      console.error("loadUsers", err);
-      setMessage("Ma la soo bixi karo liiska users. Eeg console.");
+      console.error(err);
+      // challenge-ku wuu dhacay -> ku celi step 1
+      if (err?.response?.status === 410) setLoginChallenge(null);
+      setMessage(authErrorMessage(err, tr("login.invalidCode")));
     } finally {
       setLoading(false);
     }
   };
 
-  const loadTasks = async () => {
-    setLoading(true);
-    try {
-      const res = await retryWithBackoff(() => api.get("/admin/tasks"), 2);
-      setTasks(Array.isArray(res.data) ? res.data : res.data.tasks || []);
-    } catch (err) {
-      console.error("loadTasks", err);
-      setMessage("Ma la soo bixi karo liiska tasks. Eeg console.");
-    } finally {
-      setLoading(false);
+  // Token + expiry -> memory (iyo sessionStorage haddii remember)
+  const storeSession = (token, expiresAt, remember) => {
+    tokenRef.current = token;
+    expiresAtRef.current = expiresAt;
+    // Optional session persistence (sessionStorage only)
+    if (remember) {
+      try {
+        sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+        if (expiresAt) sessionStorage.setItem(ADMIN_TOKEN_EXP_KEY, String(expiresAt));
+      } catch {}
+    } else {
+      try { sessionStorage.removeItem(ADMIN_TOKEN_KEY); sessionStorage.removeItem(ADMIN_TOKEN_EXP_KEY); } catch {}
     }
+    setSessionVersion((v) => v + 1);
   };
 
-  const loadWithdrawals = async () => {
-    setLoading(true);
+  // Auth response ({ token, expiresAt|expiresIn }) -> session, kadibna /admin/me validation
+  const completeLogin = async (data, remember) => {
+    const token = data?.token;
+    if (!token) throw new Error("No token received");
+    setLoginChallenge(null);
+    storeSession(token, resolveExpiry(token, data), remember);
+    // fetch profile (same validation path as session restore)
     try {
-      const res = await retryWithBackoff(() => api.get("/admin/withdrawals"), 2);
-      setWithdrawals(Array.isArray(res.data) ? res.data : res.data.withdrawals || []);
-    } catch (err) {
+      const me = await api.get("/admin/me");
+      setAdminUser(me.data.admin || { name: "admin" });
+    } catch (err) {
+      storeSession(null, null, false);
+      throw err;
+    }
+    setAuthChecked(true);
+    lastActivityRef.current = Date.now();
+    // ku celi tab-kii la joogay ka hor logout-ka qasabka ah
+    if (returnTabRef.current) {
+      setActiveTab(returnTabRef.current);
+      returnTabRef.current = null;
+    }
+    setMessage(tr("login.welcome"));
+  };
+
+  // Session dhammaad: logout (user), 401 ama idle. forced -> xasuuso tab-ka
+  const endSession = (text, forced = false) => {
+    if (!tokenRef.current) return;
+    returnTabRef.current = forced ? activeTabRef.current : null;
+    // clear memory + session
+    storeSession(null, null, false);
+    if (adminUser) clearCache(adminUser.id);
+    // outbox-ku storage-ka wuu ku harayaa (admin-kan login-kiisa xiga ayaa la diri doonaa)
+    outboxRef.current = [];
+    setOutbox([]);
+    setStaleSince({});
+    setAdminUser(null);
+    setDangerConfirm(null);
+    setDetailUserId(null);
+    setIdleRemaining(null);
+    setMessage(text);
+    setActiveTab("dashboard");
+  };
+
+  const handleLogout = () => endSession(tr("session.loggedOut"));
+
+  // Global 401: token dhacay/la diiday -> LoginForm
+  unauthorizedRef.current = () => {
+    if (tokenRef.current) endSession(tr("session.expired"), true);
+  };
+
+  /* =======================
+     SESSION: silent refresh ka hor expiry
+     ======================= */
+  useEffect(() => {
+    if (!adminUser || !expiresAtRef.current) return;
+    let timer;
+    const refresh = async () => {
+      try {
+        const res = await api.post("/admin/auth/refresh");
+        const token = res.data?.token;
+        if (!token) throw new Error("No token received");
+        let remember = false;
+        try { remember = Boolean(sessionStorage.getItem(ADMIN_TOKEN_KEY)); } catch {}
+        storeSession(token, resolveExpiry(token, res.data), remember);
+      } catch (err) {
+        // 401: interceptor-ku /admin/auth uma yeero onUnauthorized -> halkan ka logout
+        if (err?.isUnauthorized) return endSession(tr("session.expired"), true);
+        console.warn("token refresh failed", err);
+        if (Date.now() < expiresAtRef.current) timer = setTimeout(refresh, REFRESH_RETRY_MS);
+      }
+    };
+    timer = setTimeout(refresh, Math.max(0, expiresAtRef.current - Date.now() - REFRESH_LEAD_MS));
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [adminUser, sessionVersion]);
+
+  // Payout policy (step-up threshold, four-eyes) -> /admin/payout-policy
+  // (approver kasta wuu akhrin karaa; /admin/settings waxaa u baahan settings.manage)
+  useEffect(() => {
+    if (!adminUser) return;
+    (async () => {
+      try {
+        const res = await retryWithBackoff((call) => api.get("/admin/payout-policy", { call }), 2);
+        setPayoutPolicy(parsePayoutPolicy(res.data));
+      } catch (err) {
+        console.warn("payout policy", err); // default-ka ayaa la isticmaalayaa
+      }
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [adminUser]);
+
+  /* =======================
+     LIVE UPDATES: withdrawals + dashboard counters
+     ======================= */
+  // liveTimersRef: { [withdrawalId]: timeout id } -> live effect cleanup-ka ayaa clear-gareeya
+  const liveTimersRef = useRef({});
+  const markLiveChange = (id, actor) => {
+    setLiveChanges((c) => ({ ...c, [id]: { actor, at: Date.now() } }));
+    clearTimeout(liveTimersRef.current[id]);
+    liveTimersRef.current[id] = setTimeout(() => {
+      delete liveTimersRef.current[id];
+      setLiveChanges((c) => {
+        const next = { ...c };
+        delete next[id];
+        return next;
+      });
+    }, LIVE_HIGHLIGHT_MS);
+  };
+
+  // ref -> handler-ku had iyo jeer wuxuu arkaa adminUser-ka hadda
+  const liveHandlerRef = useRef(() => {});
+  liveHandlerRef.current = (evt) => {
+    if (!evt || !evt.type) return;
+    if (evt.type === "overview") return setLiveStats(evt.data || null);
+    if (evt.type !== "withdrawal.created" && evt.type !== "withdrawal.updated") return;
+    const w = evt.data;
+    if (!w || !w.id) return;
+    setWithdrawals((list) => {
+      const i = list.findIndex((x) => x.id === w.id);
+      if (i === -1) return evt.type === "withdrawal.created" ? [w, ...list] : list;
+      const next = [...list];
+      next[i] = { ...next[i], ...w };
+      return next;
+    });
+    // la xalliyay (admin kale) -> ka saar selection-ka si aan loo labajibbaarin
+    if (w.status && !isApprovable(w)) setSelectedWithdrawals((sel) => sel.filter((id) => id !== w.id));
+    const mine = evt.actorId != null && adminUser && evt.actorId === adminUser.id;
+    if (!mine && evt.type === "withdrawal.updated") markLiveChange(w.id, evt.actorName || evt.actorId || "system");
+  };
+
+  useEffect(() => {
+    if (!adminUser) { setLiveStatus("offline"); return; }
+    const channel = createLiveChannel({ getToken, onEvent: (e) => liveHandlerRef.current(e), onStatus: setLiveStatus });
+    return () => {
+      channel.close();
+      // logout / unmount -> highlight timers-ka jooji
+      Object.values(liveTimersRef.current).forEach(clearTimeout);
+      liveTimersRef.current = {};
+      setLiveChanges({});
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [adminUser]);
+
+  // Polling fallback: /admin/live/poll?since= -> events isku qaab ah
+  useEffect(() => {
+    if (!adminUser || liveStatus !== "polling") return;
+    let since = Date.now();
+    const interval = setInterval(async () => {
+      try {
+        const res = await api.get("/admin/live/poll", { params: { since } });
+        const events = Array.isArray(res.data) ? res.data : res.data.events || [];
+        since = Number(res.data?.now) || Date.now();
+        events.forEach((e) => liveHandlerRef.current(e));
+      } catch (err) {
+        console.warn("live poll", err);
+      }
+    }, LIVE_POLL_MS);
+    return () => clearInterval(interval);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [adminUser, liveStatus]);
+
+  /* =======================
+     SESSION: idle auto-logout (countdown warning ka hor)
+     ======================= */
+  useEffect(() => {
+    if (!adminUser) return;
+    const touch = () => { lastActivityRef.current = Date.now(); };
+    ACTIVITY_EVENTS.forEach((ev) => window.addEventListener(ev, touch, { passive: true }));
+    lastActivityRef.current = Date.now();
+    const interval = setInterval(() => {
+      const idle = Date.now() - lastActivityRef.current;
+      if (idle >= IDLE_TIMEOUT_MS) {
+        endSession(tr("session.idleLogout"), true);
+      } else if (idle >= IDLE_TIMEOUT_MS - IDLE_WARNING_MS) {
+        setIdleRemaining(Math.ceil((IDLE_TIMEOUT_MS - idle) / 1000));
+      } else {
+        setIdleRemaining((prev) => (prev === null ? prev : null));
+      }
+    }, 1000);
+    return () => {
+      ACTIVITY_EVENTS.forEach((ev) => window.removeEventListener(ev, touch));
+      clearInterval(interval);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [adminUser]);
+
+  /* =======================
+     OFFLINE: outbox (pending sync) + read cache
+     - Mutation network la'aan (retries kadib) -> outbox, isla Idempotency-Key
+     - Replay: tartibka la geliyay, mid mid; conflict/4xx -> item-ka ayaa calaamadeeya
+     - Loaders: load guulaystay -> cache; network error -> cache + stale indicator
+     ======================= */
+  const outboxRef = useRef([]);
+  const syncingRef = useRef(false);
+
+  const updateOutbox = (fn) => {
+    outboxRef.current = fn(outboxRef.current);
+    writeOutbox(adminUser?.id, outboxRef.current);
+    setOutbox(outboxRef.current);
+  };
+
+  // Tab actions (ban, approve, reject, task, settings): label = { key, vars } (pending sync list-ka)
+  const mutate = async (label, url, body, { version, retries, queue = true } = {}) => {
+    const enqueue = (idempotencyKey) => {
+      updateOutbox((items) => [...items, { id: idempotencyKey, label, url, body, version, createdAt: Date.now(), status: "pending" }]);
+      setMessage(tr("outbox.queued", { action: tr(label.key, label.vars) }));
+      const err = new Error("queued");
+      err.isQueued = true;
+      return err;
+    };
+    // Tartibka: haddii ay jiraan kuwa sugaya, kan cusubna gadaashooda ayuu galayaa
+    if (queue && outboxRef.current.some((i) => i.status === "pending")) {
+      const err = enqueue(newIdempotencyKey());
+      replayOutbox();
+      throw err;
+    }
+    const idempotencyKey = newIdempotencyKey();
+    try {
+      return await postMutation(api, url, body, { version, retries, idempotencyKey });
+    } catch (err) {
+      if (!queue || !isNetworkError(err)) throw err;
+      throw enqueue(idempotencyKey);
+    }
+  };
+
+  const reloadActiveTab = () => {
+    const loaders = { users: loadUsers, tasks: loadTasks, submissions: loadSubmissions, withdrawals: loadWithdrawals };
+    if (loaders[activeTabRef.current]) loaders[activeTabRef.current]();
+  };
+
+  const replayOutbox = async () => {
+    if (syncingRef.current || !getToken()) return;
+    syncingRef.current = true;
+    setSyncing(true);
+    const attempted = new Set();
+    let synced = 0;
+    let problems = 0;
+    try {
+      for (;;) {
+        const item = outboxRef.current.find((i) => i.status === "pending" && !attempted.has(i.id));
+        if (!item || !getToken()) break;
+        attempted.add(item.id);
+        try {
+          await postMutation(api, item.url, item.body, { version: item.version, idempotencyKey: item.id, retries: 0 });
+          if (!getToken()) break; // logout inta la dirayay -> storage-ka ha taaban (key-gu labajibbaar ma keeno)
+          updateOutbox((items) => items.filter((i) => i.id !== item.id));
+          synced++;
+        } catch (err) {
+          // weli offline / server-ku dhacay / session dhammaaday -> inta kale sug (tartibka ha jabin)
+          if (isNetworkError(err) || err?.response?.status >= 500 || err?.isUnauthorized || !getToken()) break;
+          const error = describeError(err);
+          updateOutbox((items) => items.map((i) => (i.id === item.id ? { ...i, status: err?.isConflict ? "conflict" : "failed", error } : i)));
+          problems++;
+        }
+      }
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+    }
+    if (synced || problems) {
+      setMessage(tr("outbox.syncResult", { synced, problems }));
+      setDetailVersion((v) => v + 1);
+      reloadActiveTab();
+    }
+  };
+  const replayRef = useRef(replayOutbox);
+  replayRef.current = replayOutbox;
+
+  const discardOutboxItem = (item) => {
+    setDangerConfirm({
+      text: tr("outbox.confirmDiscard", { action: tr(item.label.key, item.label.vars) }),
+      action: () => {
+        setDangerConfirm(null);
+        updateOutbox((items) => items.filter((i) => i.id !== item.id));
+      },
+    });
+  };
+
+  // online/offline events: xiriirku soo laabtay -> replay isla markiiba
+  useEffect(() => {
+    const up = () => { setOnline(true); replayRef.current(); };
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+    };
+  }, []);
+
+  // Login kadib: outbox-ka admin-kan (reload/session hore) -> soo celi oo isku day
+  useEffect(() => {
+    if (!adminUser) return;
+    outboxRef.current = readOutbox(adminUser.id);
+    setOutbox(outboxRef.current);
+    replayRef.current();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [adminUser?.id]);
+
+  // Mobile data: navigator.onLine had iyo jeer sax ma aha -> isku day xilli kasta inta pending jiro
+  const hasPendingOutbox = outbox.some((i) => i.status === "pending");
+  useEffect(() => {
+    if (!adminUser || !online || !hasPendingOutbox) return;
+    const interval = setInterval(() => replayRef.current(), OUTBOX_RETRY_MS);
+    return () => clearInterval(interval);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [adminUser, online, hasPendingOutbox]);
+
+  // Load guulaystay -> cache (tab + params) + ka saar stale indicator-ka.
+  // Read tabs: dashboard (+ analytics), users, tasks, submissions, withdrawals, payouts, audit.
+  // Notifications / Settings waa form-yo wax beddela (server-ka ayay u baahan yihiin) -> cache lama dhigo.
+  const cacheTab = (tab, data, params) => {
+    writeCache(adminUser?.id, tab, data, params ? JSON.stringify(params) : "");
+    setStaleSince((s) => {
+      if (!s[tab]) return s;
+      const next = { ...s };
+      delete next[tab];
+      return next;
+    });
+  };
+
+  // Network error -> xogtii ugu dambeysay. false = cache ma jiro / error kale (caller-ka ayaa fariin tusa)
+  const restoreTab = (tab, err, apply, params) => {
+    if (!isNetworkError(err)) return false;
+    const cached = readCache(adminUser?.id, tab, params ? JSON.stringify(params) : "");
+    if (!cached) return false;
+    apply(cached.data);
+    setStaleSince((s) => ({ ...s, [tab]: cached.at }));
+    return true;
+  };
+
+  /* =======================
+     DATA LOADERS
+     - Each loader uses retry/backoff
+     - Network la'aan -> cache (restoreTab)
+     ======================= */
+  // Users: server-side pagination / sort / filter / search (userQuery)
+  // usersReqRef: jawaab duug ah (query hore) waa la iska indhatiraa
+  const loadUsers = async () => {
+    const reqId = ++usersReqRef.current;
+    setLoading(true);
+    const params = buildUserParams(userQuery);
+    try {
+      const res = await retryWithBackoff((call) => api.get("/admin/users", { params, call }), 2);
+      if (reqId !== usersReqRef.current) return;
+      const list = Array.isArray(res.data) ? res.data : res.data.users || [];
+      const total = Number(res.data?.total ?? list.length) || 0;
+      setUsers(list);
+      setUsersTotal(total);
+      cacheTab("users", { users: list, total }, params);
+    } catch (err) {
+      if (reqId !== usersReqRef.current) return;
+      console.error("loadUsers", err);
+      if (!restoreTab("users", err, (d) => { setUsers(d.users || []); setUsersTotal(d.total || 0); }, params)) setMessage(errorMessage(err, tr("load.users")));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadTasks = async () => {
+    setLoading(true);
+    try {
+      const res = await retryWithBackoff((call) => api.get("/admin/tasks", { call }), 2);
+      const list = Array.isArray(res.data) ? res.data : res.data.tasks || [];
+      setTasks(list);
+      cacheTab("tasks", list);
+    } catch (err) {
+      console.error("loadTasks", err);
+      if (!restoreTab("tasks", err, setTasks)) setMessage(errorMessage(err, tr("load.tasks")));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadSubmissions = async () => {
+    setLoading(true);
+    try {
+      const res = await retryWithBackoff((call) => api.get("/admin/submissions", { params: { status: "PENDING" }, call }), 2);
+      const list = Array.isArray(res.data) ? res.data : res.data.submissions || [];
+      setSubmissions(list);
+      cacheTab("submissions", list);
+    } catch (err) {
+      console.error("loadSubmissions", err);
+      if (!restoreTab("submissions", err, setSubmissions)) setMessage(errorMessage(err, tr("load.submissions")));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadWithdrawals = async () => {
+    setLoading(true);
+    try {
+      const res = await retryWithBackoff((call) => api.get("/admin/withdrawals", { call }), 2);
+      const list = Array.isArray(res.data) ? res.data : res.data.withdrawals || [];
+      setWithdrawals(list);
+      // Risk context (account age, earnings, ban history) users-ka PENDING leh
+      const ids = [...new Set(list.filter(isApprovable).map((w) => w.userId))];
+      let usersById = {};
+      if (ids.length) {
+        try {
+          const ctx = await retryWithBackoff((call) => api.get("/admin/users/summary", { params: { ids: ids.join(",") }, call }), 2);
+          const arr = Array.isArray(ctx.data) ? ctx.data : ctx.data.users || [];
+          usersById = Object.fromEntries(arr.map((u) => [u.id, u]));
+          setWithdrawalUsers(usersById);
+        } catch (err) {
+          console.warn("risk context", err); // signals qaar ayaa maqnaan doona
+        }
+      }
+      cacheTab("withdrawals", { withdrawals: list, usersById });
+    } catch (err) {
       console.error("loadWithdrawals", err);
-      setMessage("Ma la soo bixi karo liiska withdrawals. Eeg console.");
+      if (!restoreTab("withdrawals", err, (d) => { setWithdrawals(d.withdrawals || []); setWithdrawalUsers(d.usersById || {}); })) setMessage(errorMessage(err, tr("load.withdrawals")));
     } finally {
       setLoading(false);
     }
   };
 
+  // Tab aan la oggolayn -> dashboard
+  useEffect(() => {
+    const tab = TABS.find((t) => t.id === activeTab);
+    if (adminUser && (!tab || !can(tab.permission))) setActiveTab("dashboard");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeTab, permissions]);
+
   // Load relevant data when tab changes
   useEffect(() => {
     if (!authChecked || !getToken()) return;
+    if (!can((TABS.find((t) => t.id === activeTab) || {}).permission)) return;
     if (activeTab === "users") loadUsers();
     if (activeTab === "tasks") loadTasks();
+    if (activeTab === "submissions") loadSubmissions();
     if (activeTab === "withdrawals") loadWithdrawals();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [activeTab, authChecked]);
 
+  // Search cusub -> userQuery (search + bogga 1aad hal update) => hal fetch
+  useEffect(() => {
+    setUserQuery((q) => (q.search === debouncedSearch ? q : { ...q, search: debouncedSearch, page: 1 }));
+  }, [debouncedSearch]);
+
+  // Reload users marka page/sort/filter/search isbeddelo
+  const didMountUsers = useRef(false);
+  useEffect(() => {
+    if (!didMountUsers.current) { didMountUsers.current = true; return; }
+    if (!authChecked || !getToken() || activeTab !== "users") return;
+    loadUsers();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [userQuery]);
+
   /* =======================
      ADMIN ACTIONS
      - banUser, unbanUser, approveWithdraw, rejectWithdraw, addTask
      - All actions prompt confirmation and sanitize inputs
+     - Mutations: postMutation (idempotency key + row version)
      ======================= */
-  const banUser = async (userId) => {
+  // Conflict (409/412): ku beddel row-ga server-ka "current" kadibna tus fariin cad.
+  // false = ma ahayn conflict (caller-ka ayaa error generic ah tusa)
+  const applyConflict = (err, setList) => {
+    if (!err?.isConflict) return false;
+    const current = err.response?.data?.current;
+    if (current && current.id != null && setList) {
+      setList((list) => list.map((x) => (x.id === current.id ? { ...x, ...current } : x)));
+    }
+    setDetailVersion((v) => v + 1);
+    setMessage(conflictMessage(err));
+    return true;
+  };
+
+  const banUser = async (userId, version = versionOf(users, userId)) => {
     if (!userId) return;
     setDangerConfirm({
-      text: `Ma hubtaa inaad ban garaynayso user ${userId}? Tani waa irreversible.`,
+      text: tr("users.confirmBan", { id: userId }),
       action: async () => {
         setDangerConfirm(null);
         setLoading(true);
         try {
-          await retryWithBackoff(() => api.post("/admin/user/ban", { userId: sanitize(userId) }), 2);
-          setMessage("User waa la banned/garay.");
+          await mutate({ key: "outbox.ban", vars: { id: userId } }, "/admin/user/ban", { userId: sanitize(userId) }, { version });
+          setMessage(tr("users.banned"));
+          setDetailVersion((v) => v + 1);
           await loadUsers();
         } catch (err) {
+          if (err.isQueued) return;
           console.error(err);
-          setMessage("Cilad ayaa dhacday markii la isku dayay in la ban-gareeyo.");
+          if (!applyConflict(err, setUsers)) setMessage(errorMessage(err, tr("users.banFailed")));
         } finally { setLoading(false); }
       },
     });
   };
 
-  const unbanUser = async (userId) => {
+  const unbanUser = async (userId, version = versionOf(users, userId)) => {
     if (!userId) return;
     setDangerConfirm({
-      text: `Ma hubtaa inaad unban garaynayso user ${userId}?`,
+      text: tr("users.confirmUnban", { id: userId }),
       action: async () => {
         setDangerConfirm(null);
         setLoading(true);
         try {
-          await retryWithBackoff(() => api.post("/admin/user/unban", { userId: sanitize(userId) }), 2);
-          setMessage("User waa la unbanned.");
+          await mutate({ key: "outbox.unban", vars: { id: userId } }, "/admin/user/unban", { userId: sanitize(userId) }, { version });
+          setMessage(tr("users.unbanned"));
+          setDetailVersion((v) => v + 1);
           await loadUsers();
         } catch (err) {
+          if (err.isQueued) return;
           console.error(err);
-          setMessage("Cilad ayaa dhacday markii la isku dayay in la unban-gareeyo.");
+          if (!applyConflict(err, setUsers)) setMessage(errorMessage(err, tr("users.unbanFailed")));
         } finally { setLoading(false); }
       },
     });
   };
 
-  const approveWithdraw = async (wid) => {
+  // Step-up: password ama TOTP -> stepUpToken gaaban oo lagu daro approve request-ka
+  const performStepUp = async ({ method, value }) => {
+    const body = method === "totp" ? { code: sanitize(value) } : { password: value };
+    const res = await api.post("/admin/auth/step-up", body);
+    if (!res.data?.stepUpToken) throw new Error("No step-up token");
+    return res.data.stepUpToken;
+  };
+
+  // Approve: amount > stepUpThreshold -> dib u geli password/TOTP (step-up)
+  const approveWithdraw = async (wid, amount = 0, version = versionOf(withdrawals, wid)) => {
     if (!wid) return;
+    const stepUp = Number(amount) > payoutPolicy.stepUpThreshold;
+    const w = withdrawals.find((x) => x.id === wid) || { status: "PENDING", amount };
     setDangerConfirm({
-      text: `Approve payment id=${wid}? Xaqiiji marka lacagta la bixiyo.`,
-      action: async () => {
-        setDangerConfirm(null);
+      text: tr("withdrawals.confirmApprove", { id: wid, amount: formatMoney(amount) })
+        + (stepUp ? ` ${tr("withdrawals.stepUpNote", { threshold: formatMoney(payoutPolicy.stepUpThreshold) })}` : "")
+        + (needsSecondApproval(w, payoutPolicy) ? ` ${tr("withdrawals.fourEyesNote")}` : ""),
+      stepUp,
+      action: async (credential) => {
         setLoading(true);
+        let stepUpToken;
+        if (stepUp) {
+          try {
+            stepUpToken = await performStepUp(credential);
+          } catch (err) {
+            console.error(err);
+            setMessage(authErrorMessage(err, tr("withdrawals.stepUpFailed")));
+            setLoading(false);
+            return; // confirm-ku furan ha ahaado si loo isku dayo mar kale
+          }
+        }
+        setDangerConfirm(null);
         try {
-          await retryWithBackoff(() => api.post("/admin/withdraw/approve", { id: sanitize(wid) }), 2);
-          setMessage("Withdrawal approved.");
+          // step-up token-ku waa gaaban yahay -> outbox-ka lama dhigo (replay wuu fashilmi lahaa)
+          const res = await mutate({ key: "outbox.approve", vars: { id: wid } }, "/admin/withdraw/approve", { id: sanitize(wid), ...(stepUpToken ? { stepUpToken } : {}) }, { version, queue: !stepUpToken });
+          setMessage(res.data?.status === "AWAITING_SECOND_APPROVAL"
+            ? tr("withdrawals.firstApproval")
+            : tr("withdrawals.approved"));
+          setDetailVersion((v) => v + 1);
           await loadWithdrawals();
         } catch (err) {
+          if (err.isQueued) return;
           console.error(err);
-          setMessage("Cilad markii la isku dayay approve.");
+          if (!applyConflict(err, setWithdrawals)) setMessage(errorMessage(err, tr("withdrawals.approveFailed")));
         } finally { setLoading(false); }
       },
     });
   };
 
-  const rejectWithdraw = async (wid, reason = "") => {
+  const rejectWithdraw = async (wid, reason = "", version = versionOf(withdrawals, wid)) => {
     if (!wid) return;
     setDangerConfirm({
-      text: `Reject payment id=${wid}? Sababta: ${reason || "No reason provided"}`,
+      text: tr("withdrawals.confirmReject", { id: wid, reason: reason || tr("common.noReason") }),
       action: async () => {
         setDangerConfirm(null);
         setLoading(true);
         try {
-          await retryWithBackoff(() => api.post("/admin/withdraw/reject", { id: sanitize(wid), reason: sanitize(reason) }), 2);
-          setMessage("Withdrawal rejected.");
+          await mutate({ key: "outbox.reject", vars: { id: wid } }, "/admin/withdraw/reject", { id: sanitize(wid), reason: sanitize(reason) }, { version });
+          setMessage(tr("withdrawals.rejected"));
+          setDetailVersion((v) => v + 1);
           await loadWithdrawals();
         } catch (err) {
+          if (err.isQueued) return;
+          console.error(err);
+          if (!applyConflict(err, setWithdrawals)) setMessage(errorMessage(err, tr("withdrawals.rejectFailed")));
+        } finally { setLoading(false); }
+      },
+    });
+  };
+
+  // Submission review: approve -> reward-ka waa la credit-gareeyaa (backend)
+  const approveSubmission = async (sid) => {
+    if (!sid) return;
+    setDangerConfirm({
+      source: "submissions", // SubmissionsPanel y/n shortcuts
+      text: tr("submissions.confirmApprove", { id: sid }),
+      action: async () => {
+        setDangerConfirm(null);
+        setLoading(true);
+        try {
+          await mutate({ key: "outbox.approveSubmission", vars: { id: sid } }, "/admin/submission/approve", { id: sanitize(sid) }, { version: versionOf(submissions, sid) });
+          setMessage(tr("submissions.approved"));
+          await loadSubmissions();
+        } catch (err) {
+          if (err.isQueued) return;
+          console.error(err);
+          if (applyConflict(err, setSubmissions)) await loadSubmissions();
+          else setMessage(errorMessage(err, tr("submissions.approveFailed")));
+        } finally { setLoading(false); }
+      },
+    });
+  };
+
+  const rejectSubmission = async (sid, reason = "") => {
+    if (!sid) return;
+    setDangerConfirm({
+      source: "submissions",
+      text: tr("submissions.confirmReject", { id: sid, reason: reason || tr("common.noReason") }),
+      action: async () => {
+        setDangerConfirm(null);
+        setLoading(true);
+        try {
+          await mutate({ key: "outbox.rejectSubmission", vars: { id: sid } }, "/admin/submission/reject", { id: sanitize(sid), reason: sanitize(reason) }, { version: versionOf(submissions, sid) });
+          setMessage(tr("submissions.rejected"));
+          await loadSubmissions();
+        } catch (err) {
+          if (err.isQueued) return;
           console.error(err);
-          setMessage("Cilad markii la isku dayay reject.");
+          if (applyConflict(err, setSubmissions)) await loadSubmissions();
+          else setMessage(errorMessage(err, tr("submissions.rejectFailed")));
         } finally { setLoading(false); }
       },
     });
   };
 
-  const addTask = async (title, description, reward) => {
-    title = sanitize(title);
-    description = sanitize(description);
-    reward = Number(reward) || 0;
-    if (!title || reward <= 0) return setMessage("Fadlan geli title sax ah iyo reward ka weyn 0.");
+  // Manual credit/debit: amount + reason waa qasab; ledger entry waxaa qora backend-ka.
+  // Waxay soo celisaa true marka confirm la furay (form-ku wuu nadiifin karaa).
+  // version: drawer-ka profile-kiisa (If-Match) -> balance duug ah kuma dhaco credit/debit
+  const adjustBalance = (userId, direction, amount, reason, version = versionOf(users, userId)) => {
+    amount = Number(amount);
+    reason = sanitize(reason);
+    if (!userId) return false;
+    if (!(amount > 0)) { setMessage(tr("adjust.amountRequired")); return false; }
+    if (!reason) { setMessage(tr("adjust.reasonRequired")); return false; }
+    const signed = direction === "debit" ? -amount : amount;
+    const label = tr(direction === "debit" ? "adjust.debit" : "adjust.credit", { amount: formatMoney(amount), id: userId });
+
+    const run = async () => {
+      setDangerConfirm(null);
+      setLoading(true);
+      try {
+        await postMutation(api, "/admin/user/adjust", { userId: sanitize(userId), amount: signed, reason }, { version });
+        setMessage(tr("adjust.done", { label }));
+        setDetailVersion((v) => v + 1);
+        await loadUsers();
+      } catch (err) {
+        console.error(err);
+        if (!applyConflict(err, setUsers)) setMessage(errorMessage(err, tr("adjust.failed")));
+      } finally { setLoading(false); }
+    };
+
+    setDangerConfirm({
+      text: tr("adjust.confirm", { label, reason }),
+      action: amount > ADJUST_CONFIRM_THRESHOLD
+        ? () => setDangerConfirm({ text: tr("adjust.secondConfirm", { label, threshold: formatMoney(ADJUST_CONFIRM_THRESHOLD) }), action: run })
+        : run,
+    });
+    return true;
+  };
+
+  // Abuur task (form values). true = la abuuray
+  const addTask = async (input) => {
+    const { task, error } = validateTask(input);
+    if (error) { setMessage(error); return false; }
     setLoading(true);
     try {
-      await retryWithBackoff(() => api.post("/admin/task/add", { title, description, reward }), 2);
-      setMessage("Task cusub waa la abuuray.");
+      await mutate({ key: "outbox.addTask", vars: { title: task.title } }, "/admin/task/add", task);
+      setMessage(tr("tasks.created"));
       await loadTasks();
+      return true;
     } catch (err) {
+      if (err.isQueued) return true; // pending sync -> form-ka waa la nadiifin karaa
       console.error(err);
-      setMessage("Cilad markii la isku dayay in la abuuro task.");
+      setMessage(errorMessage(err, tr("tasks.createFailed")));
+      return false;
     } finally { setLoading(false); }
   };
 
-  /* =======================
-     UI: small helpers
-     ======================= */
-  const filteredUsers = users.filter(u =>
-    (u.email || u.name || u.id || "")
-      .toLowerCase()
-      .includes(searchQuery.toLowerCase().trim())
-  );
+  // Edit-in-place: wax ka beddel task definition-ka. true = la keydiyay
+  const updateTask = async (id, input) => {
+    const { task, error } = validateTask(input);
+    if (error) { setMessage(error); return false; }
+    setLoading(true);
+    try {
+      await postMutation(api, "/admin/task/update", { id: sanitize(id), ...task }, { version: versionOf(tasks, id) });
+      setMessage(tr("tasks.updated"));
+      await loadTasks();
+      return true;
+    } catch (err) {
+      console.error(err);
+      if (!applyConflict(err, setTasks)) setMessage(errorMessage(err, tr("tasks.updateFailed")));
+      return false;
+    } finally { setLoading(false); }
+  };
+
+  const setTaskStatus = (t, status) => {
+    const from = t.status || "draft";
+    if (!(TASK_TRANSITIONS[from] || []).includes(status)) {
+      return setMessage(tr("tasks.invalidTransition", { from: tr(`taskStatus.${from}`), to: tr(`taskStatus.${status}`) }));
+    }
+    const run = async () => {
+      setDangerConfirm(null);
+      setLoading(true);
+      try {
+        await postMutation(api, "/admin/task/status", { id: sanitize(t.id), status }, { version: t.version });
+        setMessage(tr("tasks.statusChanged", { id: t.id, status: tr(`taskStatus.${status}`) }));
+        await loadTasks();
+      } catch (err) {
+        console.error(err);
+        if (!applyConflict(err, setTasks)) setMessage(errorMessage(err, tr("tasks.statusFailed")));
+      } finally { setLoading(false); }
+    };
+    // archive waa joogto -> confirm
+    if (status === "archived") {
+      return setDangerConfirm({ text: tr("tasks.confirmArchive", { title: t.title }), action: run });
+    }
+    run();
+  };
+
+  // Delete waa la xannibay haddii users horay u dhammeeyeen task-ga (archive isticmaal)
+  const deleteTask = (t) => {
+    if (Number(t.completions || 0) > 0) {
+      return setMessage(tr("tasks.hasCompletions", { title: t.title, count: t.completions }));
+    }
+    setDangerConfirm({
+      text: tr("tasks.confirmDelete", { title: t.title }),
+      action: async () => {
+        setDangerConfirm(null);
+        setLoading(true);
+        try {
+          await postMutation(api, "/admin/task/delete", { id: sanitize(t.id) }, { version: t.version });
+          setMessage(tr("tasks.deleted"));
+          await loadTasks();
+        } catch (err) {
+          console.error(err);
+          if (!applyConflict(err, setTasks)) setMessage(errorMessage(err, tr("tasks.deleteFailed")));
+        } finally { setLoading(false); }
+      },
+    });
+  };
 
   /* =======================
-     Render
+     BATCH ACTIONS
+     - Hal confirm (summary), request per item, natiijo per item
+     - Kuwa fashilmay way sii doortaan si loo retry-gareeyo
      ======================= */
-  if (!ready) {
-    return (
-      <div style={styles.app}>
-        <h3>Loading admin panel...</h3>
-      </div>
-    );
-  }
+  // fn(id, idempotencyKey); keys: { [id]: Idempotency-Key } -> retry-gu isla key-ga ayuu diraa
+  // (row guulaystay laakiin timeout noqday mar labaad lama fulin).
+  // retryFailed(failed, keys): retry gaar ah (tusaale step-up cusub) halkii fn-ka la isku celin lahaa
+  const executeBatch = async (label, ids, fn, reload, setSelected, keys = {}, retryFailed = null) => {
+    setLoading(true);
+    let results = [];
+    try {
+      ids.forEach((id) => { if (!keys[id]) keys[id] = newIdempotencyKey(); });
+      results = await runBatch(ids, (id) => fn(id, keys[id]));
+      const failed = results.filter((r) => !r.ok).map((r) => r.id);
+      setSelected(failed);
+      setBatchResult({
+        label,
+        results,
+        retry: !failed.length ? null
+          : retryFailed ? () => retryFailed(failed, keys)
+          : () => executeBatch(label, failed, fn, reload, setSelected, keys),
+      });
+      setMessage(tr("batch.summary", { label, ok: results.length - failed.length, total: results.length }));
+    } finally { setLoading(false); }
+    await reload();
+    return results;
+  };
 
-  // If not authed -> show login UI
-  if (!getToken() || !adminUser) {
-    return (
-      <div style={styles.app}>
-        <div style={styles.card}>
-          <h2 style={styles.title}>Admin Login</h2>
-          <p style={{ color: "#666" }}>Geli admin secret/token si aad u gasho. Backend-ku waa inuu xaqiijiyaa token-ka.</p>
+  // CSV import: rows [{ id: "Row N", task }] (horay loo xaqiijiyay) -> batch create, natiijo per row
+  const importTasks = (rows) => {
+    const byId = new Map(rows.map((r) => [r.id, r.task]));
+    return executeBatch(tr("batch.taskImport"), rows.map((r) => r.id), (id, idempotencyKey) => postMutation(api, "/admin/task/add", byId.get(id), { idempotencyKey }), loadTasks, () => {});
+  };
 
-          <LoginForm onLogin={handleLogin} loading={loading} />
-          {message && <div style={styles.message}>{message}</div>}
-        </div>
-      </div>
-    );
-  }
+  // Dooro dhammaan users-ka u dhigma filter-ka hadda (dhammaan bogagga)
+  const selectAllMatchingUsers = async () => {
+    setLoading(true);
+    try {
+      const params = buildUserParams(userQuery);
+      delete params.page;
+      delete params.pageSize;
+      const res = await retryWithBackoff((call) => api.get("/admin/users/ids", { params, call }), 2);
+      setSelectedUsers(Array.isArray(res.data) ? res.data : res.data.ids || []);
+    } catch (err) {
+      console.error("selectAllMatchingUsers", err);
+      setMessage(errorMessage(err, tr("load.userIds")));
+    } finally { setLoading(false); }
+  };
 
-  // Main admin UI
-  return (
-    <div style={styles.app}>
-      <header style={styles.header}>
-        <div>
-          <h1 style={styles.headerTitle}>TaskEarn — Admin</h1>
-          <div style={styles.headerSub}>Logged in as: <strong>{adminUser.name || "admin"}</strong></div>
-        </div>
+  const batchUsers = (ids, mode) => {
+    if (!ids.length) return;
+    const label = tr(mode === "ban" ? "batch.ban" : "batch.unban");
+    setDangerConfirm({
+      text: tr("batch.confirmUsers", { label, count: ids.length }),
+      action: async () => {
+        setDangerConfirm(null);
+        await executeBatch(label, ids, (id, idempotencyKey) => postMutation(api, `/admin/user/${mode}`, { userId: sanitize(id) }, { version: versionOf(latestRef.current.users, id), idempotencyKey }), loadUsers, setSelectedUsers);
+      },
+    });
+  };
+
+  const batchWithdrawals = (ids, mode, reason = "", keys = {}) => {
+    if (!ids.length) return;
+    const rows = latestRef.current.withdrawals.filter((w) => ids.includes(w.id)); // retry: list-ka ugu dambeeyay
+    const total = rows.reduce((sum, w) => sum + Number(w.amount || 0), 0);
+    const label = tr(mode === "approve" ? "batch.approve" : "batch.reject");
+    // Batch approve oo leh lacag ka badan threshold -> hal step-up oo batch-ka oo dhan ah
+    const stepUp = mode === "approve" && rows.some((w) => Number(w.amount || 0) > payoutPolicy.stepUpThreshold);
+    const fourEyes = mode === "approve" ? rows.filter((w) => needsSecondApproval(w, payoutPolicy)).length : 0;
+    setDangerConfirm({
+      text: tr("batch.confirmWithdrawals", { label, count: ids.length, total: formatMoney(total) })
+        + (mode === "reject" ? ` ${tr("batch.reason", { reason: reason || tr("common.noReason") })}` : "")
+        + (stepUp ? ` ${tr("batch.stepUpNote", { threshold: formatMoney(payoutPolicy.stepUpThreshold) })}` : "")
+        + (fourEyes ? ` ${tr("batch.fourEyesNote", { count: fourEyes })}` : ""),
+      stepUp,
+      action: async (credential) => {
+        let stepUpToken;
+        if (stepUp) {
+          try {
+            stepUpToken = await performStepUp(credential);
+          } catch (err) {
+            console.error(err);
+            return setMessage(authErrorMessage(err, tr("withdrawals.stepUpFailed")));
+          }
+        }
+        setDangerConfirm(null);
+        // version-ka waqtiga call-ka (latestRef) -> retry-gu ma helo 412 duug ah
+        const fn = mode === "approve"
+          ? (id, idempotencyKey) => postMutation(api, "/admin/withdraw/approve", { id: sanitize(id), ...(stepUpToken ? { stepUpToken } : {}) }, { version: versionOf(latestRef.current.withdrawals, id), idempotencyKey })
+          : (id, idempotencyKey) => postMutation(api, "/admin/withdraw/reject", { id: sanitize(id), reason: sanitize(reason) }, { version: versionOf(latestRef.current.withdrawals, id), idempotencyKey });
+        // step-up token-ku waa gaaban yahay -> retry-gu confirm + step-up cusub ayuu maraa (isla keys)
+        const retryFailed = stepUpToken ? (failed, sameKeys) => batchWithdrawals(failed, mode, reason, sameKeys) : null;
+        await executeBatch(label, ids, fn, loadWithdrawals, setSelectedWithdrawals, keys, retryFailed);
+      },
+    });
+  };
+
+  // Export: filters-ka hadda (users: query + search; withdrawals: risk filter) -> CSV/XLSX.
+  // "payout" = withdrawals APPROVED oo qaabka payout-batch ah (id,user,amount,method,destination)
+  const runExport = async (kind, format, onProgress, filter) => {
+    const payout = format === "payout";
+    const sources = {
+      users: { url: "/admin/users", key: "users", params: buildUserParams(userQuery) },
+      tasks: { url: "/admin/tasks", key: "tasks", params: {} },
+      withdrawals: { url: "/admin/withdrawals", key: "withdrawals", params: payout ? { status: "APPROVED" } : {} },
+    };
+    const { url, key, params } = sources[kind];
+    delete params.page;
+    delete params.pageSize;
+    try {
+      const count = await exportRows({
+        api, url, key, params, onProgress,
+        columns: EXPORT_COLUMNS[payout ? "payout" : kind],
+        format: payout ? "csv" : format,
+        filename: payout ? "payout-batch" : kind,
+        // payout: risk filter-ka lama raaciyo (risk index-ku kaliya approvable ayuu qiimeeyaa, APPROVED ma aha)
+        filter: payout ? (list) => list.filter(w => w.status === "APPROVED") : filter,
+      });
+      setMessage(tr("export.done", { count }));
+    } catch (err) {
+      console.error("export", kind, err);
+      setMessage(errorMessage(err, tr("export.failed")));
+    }
+  };
+
+  // Luqadda: localStorage (per admin) + server preference (best effort)
+  const changeLanguage = (next) => {
+    setLang(next);
+    storeLang(next, adminUser?.id);
+    if (adminUser) {
+      postMutation(api, "/admin/me/preferences", { language: next }).catch((err) => console.warn("language preference", err));
+    }
+  };
+
+  // Admin login kadib: luqaddiisa la keydiyay (device-kan) ama preference-ka server-ka
+  useEffect(() => {
+    if (!adminUser) return;
+    const preferred = readStoredLang(adminUser.id) || adminUser.language;
+    if (preferred && MESSAGES[preferred]) setLang(preferred);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [adminUser?.id]);
+
+  // Row "History" -> Audit tab oo lagu shaandheeyay target-kaas
+  const openHistory = can("audit.view")
+    ? (type, id) => { setAuditTarget({ type, id }); setActiveTab("audit"); }
+    : null;
+
+  // Row "Notify" -> Notifications tab oo user-kaas loo diyaariyay
+  const openNotify = can("notifications.send")
+    ? (id) => { setNotifyUserId(id); setActiveTab("notifications"); }
+    : null;
+
+  // Isbeddel userQuery; filter/sort/pageSize cusub -> bogga 1aad
+  const updateUserQuery = (patch) => {
+    setUserQuery((q) => ({ ...q, ...patch, page: patch.page ?? 1 }));
+  };
+
+  /* =======================
+     Render
+     ======================= */
+  if (!ready) {
+    return (
+      <div style={styles.app}>
+        <h3>{tr("app.loading")}</h3>
+      </div>
+    );
+  }
+
+  // If not authed -> show login UI
+  if (!getToken() || !adminUser) {
+    return (
+      <div style={styles.app}>
+        <div style={styles.card}>
+          <div style={styles.header}>
+            <h2 style={styles.title}>{tr("login.title")}</h2>
+            <LanguageSwitcher value={lang} onChange={changeLanguage} />
+          </div>
+          <p style={{ color: "#666" }}>{tr("login.intro")}</p>
+
+          <LoginForm
+            onLogin={handleLogin}
+            onVerifyTotp={handleVerifyTotp}
+            challenge={loginChallenge}
+            onRestart={() => { setLoginChallenge(null); setMessage(null); }}
+            loading={loading}
+          />
+          {message && <div style={styles.message}>{message}</div>}
+        </div>
+      </div>
+    );
+  }
+
+  // Stale banner: dashboard-ku wuxuu leeyahay overview + analytics (cache kala duwan) -> kan ugu duugsan
+  const staleAt = [staleSince[activeTab], activeTab === "dashboard" ? staleSince.analytics : null].filter(Boolean).sort((a, b) => a - b)[0];
+
+  // Main admin UI
+  return (
+    <div style={styles.app}>
+      <header style={styles.header}>
+        <div>
+          <h1 style={styles.headerTitle}>
+            TaskEarn — Admin{" "}
+            <span style={{ ...styles.badge, ...styles.liveStatus[liveStatus] }} title={tr("header.liveTitle")}>
+              {tr(`live.${liveStatus}`)}
+            </span>
+            {!online && <>{" "}<span style={{ ...styles.badge, ...styles.liveStatus.offline }}>{tr("offline.badge")}</span></>}
+          </h1>
+          <div style={styles.headerSub}>{tr("header.loggedInAs")} <strong>{adminUser.name || "admin"}</strong>
+            {" "}({(Array.isArray(adminUser.roles) ? adminUser.roles : [adminUser.role]).filter(Boolean).join(", ") || tr("header.noRole")})
+          </div>
+        </div>
 
         <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
           <input
-            placeholder="Search users by email / id"
+            placeholder={tr("header.search")}
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
             style={styles.search}
-            aria-label="Search users"
+            aria-label={tr("header.searchLabel")}
           />
-          <button onClick={() => { setMessage(null); }} style={styles.btnSecondary}>Clear</button>
-          <button onClick={handleLogout} style={styles.btnDanger}>Logout</button>
+          <LanguageSwitcher value={lang} onChange={changeLanguage} />
+          <button onClick={() => setShowDiagnostics(true)} style={styles.btnSecondary}>{tr("diagnostics.button", { count: diagnostics.length })}</button>
+          <button onClick={() => { setMessage(null); }} style={styles.btnSecondary}>{tr("common.clear")}</button>
+          <button onClick={handleLogout} style={styles.btnDanger}>{tr("common.logout")}</button>
         </div>
       </header>
 
-      <nav style={styles.nav}>
-        <NavButton label="Dashboard" active={activeTab === "dashboard"} onClick={() => setActiveTab("dashboard")} />
-        <NavButton label="Users" active={activeTab === "users"} onClick={() => setActiveTab("users")} />
-        <NavButton label="Tasks" active={activeTab === "tasks"} onClick={() => setActiveTab("tasks")} />
-        <NavButton label="Withdrawals" active={activeTab === "withdrawals"} onClick={() => setActiveTab("withdrawals")} />
-        <NavButton label="Settings" active={activeTab === "settings"} onClick={() => setActiveTab("settings")} />
-      </nav>
+      <nav style={styles.nav}>
+        {TABS.filter((t) => can(t.permission)).map((t) => (
+          <NavButton key={t.id} label={tr(`tabs.${t.id}`)} active={activeTab === t.id} onClick={() => setActiveTab(t.id)} />
+        ))}
+      </nav>
+
+      {idleRemaining !== null && (
+        <div style={styles.confirm} role="alert">
+          {tr("session.idleWarning", { seconds: idleRemaining })}{" "}
+          <button onClick={() => { lastActivityRef.current = Date.now(); setIdleRemaining(null); }} style={styles.btnPrimary}>{tr("session.stay")}</button>
+        </div>
+      )}
+
+      <main style={styles.main}>
+        {message && <div style={styles.toast}>{message}</div>}
+        {dangerConfirm && !detailUserId && (
+          <ConfirmBox confirm={dangerConfirm} onCancel={() => setDangerConfirm(null)} />
+        )}
+
+        {batchResult && (
+          <BatchResultPanel result={batchResult} busy={loading} onDismiss={() => setBatchResult(null)} />
+        )}
+
+        {outbox.length > 0 && (
+          <OutboxPanel items={outbox} online={online} syncing={syncing} onSync={replayOutbox} onDiscard={discardOutboxItem} />
+        )}
+
+        {staleAt && (
+          <div style={styles.staleNote} role="status">{tr("offline.stale", { time: formatDate(staleAt) })}</div>
+        )}
+
+        {activeTab === "dashboard" && (
+          <DashboardPanel api={api} can={can} cacheTab={cacheTab} restoreTab={restoreTab} liveStats={liveStats} loadUsers={loadUsers} loadTasks={loadTasks} loadWithdrawals={loadWithdrawals} />
+        )}
+
+        {activeTab === "users" && (
+          <UsersPanel
+            users={users}
+            total={usersTotal}
+            query={userQuery}
+            onQueryChange={updateUserQuery}
+            loading={loading}
+            onBan={banUser}
+            onUnban={unbanUser}
+            refresh={loadUsers}
+            selected={selectedUsers}
+            onSelect={setSelectedUsers}
+            onSelectAllMatching={selectAllMatchingUsers}
+            onBatch={batchUsers}
+            onOpen={setDetailUserId}
+            onHistory={openHistory}
+            onNotify={openNotify}
+            onExport={(format, onProgress) => runExport("users", format, onProgress)}
+            can={can}
+          />
+        )}
+
+        {activeTab === "tasks" && (
+          <TasksPanel
+            tasks={tasks}
+            onAddTask={addTask}
+            onImportTasks={importTasks}
+            onUpdateTask={updateTask}
+            onSetStatus={setTaskStatus}
+            onDeleteTask={deleteTask}
+            refresh={loadTasks}
+            onHistory={openHistory}
+            onExport={(format, onProgress) => runExport("tasks", format, onProgress)}
+            can={can}
+          />
+        )}
+
+        {activeTab === "submissions" && (
+          <SubmissionsPanel
+            submissions={submissions}
+            loading={loading}
+            onApprove={approveSubmission}
+            onReject={rejectSubmission}
+            refresh={loadSubmissions}
+            confirm={dangerConfirm}
+            onCancelConfirm={() => setDangerConfirm(null)}
+          />
+        )}
+
+        {activeTab === "withdrawals" && (
+          <WithdrawalsPanel
+            withdrawals={withdrawals}
+            usersById={withdrawalUsers}
+            adminId={adminUser.id}
+            policy={payoutPolicy}
+            liveChanges={liveChanges}
+            onApprove={approveWithdraw}
+            onReject={rejectWithdraw}
+            refresh={loadWithdrawals}
+            selected={selectedWithdrawals}
+            onSelect={setSelectedWithdrawals}
+            onBatch={batchWithdrawals}
+            onHistory={openHistory}
+            onExport={(format, onProgress, filter) => runExport("withdrawals", format, onProgress, filter)}
+            can={can}
+          />
+        )}
+
+        {activeTab === "payouts" && <PayoutsPanel api={api} cacheTab={cacheTab} restoreTab={restoreTab} />}
+
+        {activeTab === "notifications" && (
+          <NotificationsPanel api={api} targetUserId={notifyUserId} onClearTarget={() => setNotifyUserId(null)} />
+        )}
+
+        {activeTab === "audit" && (
+          <AuditPanel api={api} cacheTab={cacheTab} restoreTab={restoreTab} target={auditTarget} onClearTarget={() => setAuditTarget(null)} />
+        )}
+
+        {activeTab === "settings" && (
+          <SettingsPanel api={api} adminUser={adminUser} mutate={mutate} onPolicyChange={setPayoutPolicy} />
+        )}
+      </main>
+
+      {detailUserId && (
+        <UserDetailDrawer
+          api={api}
+          userId={detailUserId}
+          version={detailVersion}
+          onClose={() => setDetailUserId(null)}
+          onBan={banUser}
+          onUnban={unbanUser}
+          onApproveWithdraw={approveWithdraw}
+          onRejectWithdraw={rejectWithdraw}
+          onAdjust={adjustBalance}
+          can={can}
+        >
+          {/* toast + confirm halkan ayay ka muuqdaan marka drawer-ku furan yahay */}
+          {message && <div style={styles.toast}>{message}</div>}
+          {dangerConfirm && <ConfirmBox confirm={dangerConfirm} onCancel={() => setDangerConfirm(null)} />}
+        </UserDetailDrawer>
+      )}
+
+      {showDiagnostics && (
+        <DiagnosticsDrawer
+          entries={diagnostics}
+          admin={adminUser}
+          onClear={() => setDiagnostics([])}
+          onClose={() => setShowDiagnostics(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+/* =======================
+   SMALL COMPONENTS
+   ======================= */
+
+function LoginForm({ onLogin, onVerifyTotp, challenge, onRestart, loading }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [remember, setRemember] = useState(false);
+  const [code, setCode] = useState("");
+  const [useRecovery, setUseRecovery] = useState(false);
+
+  // Step 2: TOTP / recovery code
+  if (challenge) {
+    return (
+      <form style={{ marginTop: 12 }} onSubmit={(e) => { e.preventDefault(); onVerifyTotp(code, useRecovery); }}>
+        <p style={{ fontSize: 13, color: "#555" }}>
+          {tr(useRecovery ? "login.recoveryPrompt" : "login.codePrompt")}
+        </p>
+        <input
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder={useRecovery ? tr("login.recoveryCode") : "123456"}
+          inputMode={useRecovery ? "text" : "numeric"}
+          autoComplete="one-time-code"
+          maxLength={useRecovery ? 32 : 6}
+          style={styles.input}
+          aria-label={tr(useRecovery ? "login.recoveryCode" : "login.totpCode")}
+          autoFocus
+        />
+        <div style={{ display: "flex", gap: 8, marginTop: 12, flexWrap: "wrap" }}>
+          <button type="submit" style={styles.btnPrimary} disabled={loading}>
+            {loading ? tr("common.pleaseWait") : tr("login.verify")}
+          </button>
+          <button type="button" onClick={() => { setUseRecovery(!useRecovery); setCode(""); }} style={styles.btnLink}>
+            {tr(useRecovery ? "login.useAuthenticator" : "login.useRecovery")}
+          </button>
+          <button type="button" onClick={() => { setCode(""); setUseRecovery(false); onRestart(); }} style={styles.btnSecondary}>{tr("common.back")}</button>
+        </div>
+      </form>
+    );
+  }
+
+  // Step 1: username + password
+  return (
+    <form style={{ marginTop: 12 }} onSubmit={(e) => { e.preventDefault(); onLogin(username, password, remember); }}>
+      <input
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+        placeholder={tr("login.username")}
+        autoComplete="username"
+        style={styles.input}
+        aria-label={tr("login.username")}
+      />
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder={tr("login.password")}
+        autoComplete="current-password"
+        style={styles.input}
+        aria-label={tr("login.password")}
+      />
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
+        <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+          <span style={{ fontSize: 13 }}>{tr("login.remember")}</span>
+        </label>
+      </div>
+      <div style={{ marginTop: 12 }}>
+        <button type="submit" style={styles.btnPrimary} disabled={loading}>
+          {loading ? tr("common.pleaseWait") : tr("login.submit")}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// confirm.stepUp -> password / TOTP ayaa loo baahan yahay; action(credential)
+function ConfirmBox({ confirm, onCancel }) {
+  const [method, setMethod] = useState("totp"); // totp | password
+  const [value, setValue] = useState("");
+
+  const proceed = () => {
+    if (confirm.stepUp) {
+      if (!value) return;
+      confirm.action({ method, value });
+      setValue("");
+    } else {
+      confirm.action();
+    }
+  };
+
+  return (
+    <div style={styles.confirm}>
+      <p>{confirm.text}</p>
+      {confirm.stepUp && (
+        <div style={{ ...styles.toolbar, marginTop: 8 }}>
+          <select value={method} onChange={(e) => { setMethod(e.target.value); setValue(""); }} style={styles.inputSmall} aria-label={tr("stepUp.method")}>
+            <option value="totp">{tr("login.totpCode")}</option>
+            <option value="password">{tr("login.password")}</option>
+          </select>
+          <input
+            type={method === "password" ? "password" : "text"}
+            inputMode={method === "totp" ? "numeric" : "text"}
+            autoComplete={method === "totp" ? "one-time-code" : "current-password"}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter") proceed(); }}
+            placeholder={method === "totp" ? "123456" : tr("login.password")}
+            style={styles.inputSmall}
+            aria-label={tr("stepUp.credential")}
+            autoFocus
+          />
+        </div>
+      )}
+      <div style={{ marginTop: 8 }}>
+        <button onClick={proceed} disabled={confirm.stepUp && !value} style={styles.btnDanger}>{tr("confirm.proceed")}</button>
+        <button onClick={onCancel} style={styles.btnSecondary}>{tr("common.cancel")}</button>
+      </div>
+    </div>
+  );
+}
+
+/* LanguageSwitcher: so / en (App ayaa keydiya per admin) */
+function LanguageSwitcher({ value, onChange }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={styles.inputSmall} aria-label={tr("header.language")}>
+      {Object.entries(LANGUAGES).map(([code, label]) => <option key={code} value={code}>{label}</option>)}
+    </select>
+  );
+}
+
+function NavButton({ label, active, onClick }) {
+  return (
+    <button onClick={onClick} style={{ ...styles.navBtn, ...(active ? styles.navBtnActive : {}) }}>
+      {label}
+    </button>
+  );
+}
+
+/* DashboardPanel: simple overview and quick counts */
+function DashboardPanel({ api, can, cacheTab, restoreTab, liveStats, loadUsers, loadTasks, loadWithdrawals }) {
+  const [stats, setStats] = useState({ users: 0, totalRevenue: 0, pendingWithdrawals: 0 });
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await api.get("/admin/overview");
+        if (!cancelled) {
+          setStats(res.data || { users: 0, totalRevenue: 0, pendingWithdrawals: 0 });
+          cacheTab("dashboard", res.data || {}, { view: "overview" });
+        }
+      } catch (err) {
+        console.warn("overview err", err);
+        if (!cancelled) restoreTab("dashboard", err, setStats, { view: "overview" });
+      }
+    })();
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Live counters (push) -> ku dar stats-ka
+  useEffect(() => {
+    if (liveStats) setStats((prev) => ({ ...prev, ...liveStats }));
+  }, [liveStats]);
+
+  return (
+    <div>
+      <h2 style={styles.sectionTitle}>{tr("dashboard.title")}</h2>
+      <div style={styles.grid}>
+        <div style={styles.cardSmall}>
+          <div style={styles.cardTitle}>{tr("dashboard.users")}</div>
+          <div style={styles.cardValue}>{formatNumber(stats.users)}</div>
+          {can("users.view") && <button style={styles.btnSecondary} onClick={() => loadUsers()}>{tr("dashboard.refreshUsers")}</button>}
+        </div>
+
+        <div style={styles.cardSmall}>
+          <div style={styles.cardTitle}>{tr("dashboard.revenue")}</div>
+          <div style={styles.cardValue}>{formatMoney(stats.totalRevenue)}</div>
+          {can("tasks.view") && <button style={styles.btnSecondary} onClick={() => loadTasks()}>{tr("dashboard.refreshTasks")}</button>}
+        </div>
+
+        <div style={styles.cardSmall}>
+          <div style={styles.cardTitle}>{tr("dashboard.pendingWithdrawals")}</div>
+          <div style={styles.cardValue}>{formatNumber(stats.pendingWithdrawals)}</div>
+          {can("withdrawals.view") && <button style={styles.btnSecondary} onClick={() => loadWithdrawals()}>{tr("dashboard.refreshWithdrawals")}</button>}
+        </div>
+      </div>
+
+      {/* revenue / payouts analytics -> withdrawals.view */}
+      {can("withdrawals.view") && <AnalyticsSection api={api} cacheTab={cacheTab} restoreTab={restoreTab} />}
+    </div>
+  );
+}
+
+/* AnalyticsSection: date range, time-series charts, top tasks, payout methods, previous period */
+function AnalyticsSection({ api, cacheTab, restoreTab }) {
+  const [range, setRange] = useState(() => ({ from: toDateInput(shiftDays(Date.now(), -29)), to: toDateInput(Date.now()) }));
+  const [data, setData] = useState(null); // { points, previous, topTasks, methods }
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState(null);
+
+  useEffect(() => {
+    if (!range.from || !range.to || range.from > range.to) return;
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setErr(null);
+      const prev = previousRange(range.from, range.to);
+      const params = { from: range.from, to: range.to, interval: "day" };
+      try {
+        const [cur, before, top, methods] = await Promise.all([
+          retryWithBackoff((call) => api.get("/admin/overview/timeseries", { params, call }), 2),
+          retryWithBackoff((call) => api.get("/admin/overview/timeseries", { params: { ...params, ...prev }, call }), 2),
+          retryWithBackoff((call) => api.get("/admin/overview/top-tasks", { params: { from: range.from, to: range.to, limit: 5 }, call }), 2),
+          retryWithBackoff((call) => api.get("/admin/overview/payout-methods", { params: { from: range.from, to: range.to }, call }), 2),
+        ]);
+        if (cancelled) return;
+        const points = (r) => (Array.isArray(r.data) ? r.data : r.data.points || []);
+        const next = {
+          points: points(cur),
+          previous: points(before),
+          topTasks: { byCompletions: top.data?.byCompletions || [], byCost: top.data?.byCost || [] },
+          methods: Array.isArray(methods.data) ? methods.data : methods.data.methods || [],
+        };
+        setData(next);
+        cacheTab("analytics", next, range);
+      } catch (e) {
+        console.warn("analytics err", e);
+        if (!cancelled && !restoreTab("analytics", e, setData, range)) setErr(errorMessage(e, tr("analytics.loadFailed")));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [range]);
+
+  const preset = (days) => setRange({ from: toDateInput(shiftDays(Date.now(), -(days - 1))), to: toDateInput(Date.now()) });
+  const sum = (points, key) => points.reduce((acc, p) => acc + Number(p[key] || 0), 0);
+  const methodTotal = data ? data.methods.reduce((acc, m) => acc + Number(m.amount || 0), 0) : 0;
+
+  return (
+    <div style={{ marginTop: 18 }}>
+      <h2 style={styles.sectionTitle}>{tr("analytics.title")}</h2>
+      <div style={styles.toolbar}>
+        {ANALYTICS_PRESETS.map(d => <button key={d} onClick={() => preset(d)} style={styles.btnSecondary}>{tr("analytics.lastDays", { days: d })}</button>)}
+        <input type="date" value={range.from} max={range.to} onChange={(e) => setRange({ ...range, from: e.target.value })} style={styles.inputSmall} aria-label={tr("analytics.from")} />
+        <span>→</span>
+        <input type="date" value={range.to} min={range.from} onChange={(e) => setRange({ ...range, to: e.target.value })} style={styles.inputSmall} aria-label={tr("analytics.to")} />
+        {loading && <span style={styles.headerSub}>{tr("common.loading")}</span>}
+      </div>
+      {err && <div style={styles.message}>{err}</div>}
+
+      {data && (
+        <>
+          <div style={styles.grid}>
+            {ANALYTICS_METRICS.map(m => {
+              const cur = sum(data.points, m.key);
+              const prev = sum(data.previous, m.key);
+              const change = pctChange(cur, prev);
+              return (
+                <div key={m.key} style={styles.cardSmall}>
+                  <div style={styles.cardTitle}>{tr(`analytics.${m.key}`)}</div>
+                  <div style={styles.cardValue}>{m.money ? formatMoney(cur) : formatNumber(cur)}</div>
+                  <div style={{ fontSize: 12, color: change == null ? "#555" : change >= 0 ? "#15803d" : "#dc2626" }}>
+                    {change == null ? tr("analytics.noPrevious") : tr("analytics.vsPrevious", { arrow: change >= 0 ? "▲" : "▼", percent: Math.abs(change).toFixed(1) })}
+                  </div>
+                  <LineChart points={data.points} previous={data.previous} valueKey={m.key} color={m.color} />
+                </div>
+              );
+            })}
+          </div>
+
+          <div style={{ ...styles.grid, marginTop: 12 }}>
+            <div style={styles.cardSmall}>
+              <div style={styles.cardTitle}>{tr("analytics.topByCompletions")}</div>
+              <BarList items={data.topTasks.byCompletions.map(t => ({ label: t.title || t.id, value: Number(t.completions || 0) }))} />
+            </div>
+            <div style={styles.cardSmall}>
+              <div style={styles.cardTitle}>{tr("analytics.topByCost")}</div>
+              <BarList items={data.topTasks.byCost.map(t => ({ label: t.title || t.id, value: Number(t.cost || 0) }))} money />
+            </div>
+            <div style={styles.cardSmall}>
+              <div style={styles.cardTitle}>{tr("analytics.payoutMethods")}</div>
+              <BarList
+                items={data.methods.map(m => ({
+                  label: `${m.method} (${m.count || 0}) · ${methodTotal ? ((Number(m.amount || 0) / methodTotal) * 100).toFixed(0) : 0}%`,
+                  value: Number(m.amount || 0),
+                }))}
+                money
+              />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* LineChart: SVG yar (library la'aan). previous = xariiq dashed ah (isbarbardhig) */
+function LineChart({ points, previous = [], valueKey, color, width = 260, height = 70 }) {
+  const values = points.map(p => Number(p[valueKey] || 0));
+  const prevValues = previous.map(p => Number(p[valueKey] || 0));
+  const max = Math.max(1, ...values, ...prevValues);
+  const n = Math.max(values.length, prevValues.length, 2);
+  const path = (vals) => vals
+    .map((v, i) => `${((i / (n - 1)) * width).toFixed(1)},${(height - (v / max) * (height - 4) - 2).toFixed(1)}`)
+    .join(" ");
+
+  if (values.length === 0) return <div style={styles.headerSub}>{tr("common.noData")}</div>;
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} width="100%" height={height} role="img" aria-label={tr("analytics.chart", { metric: tr(`analytics.${valueKey}`) })}>
+      {prevValues.length > 1 && <polyline points={path(prevValues)} fill="none" stroke="#9ca3af" strokeWidth="1.5" strokeDasharray="4 3" />}
+      <polyline points={path(values)} fill="none" stroke={color} strokeWidth="2" />
+      <title>{`${points[0]?.date || ""} → ${points[points.length - 1]?.date || ""}`}</title>
+    </svg>
+  );
+}
+
+/* BarList: horizontal bars (top N) */
+function BarList({ items, money = false }) {
+  const max = Math.max(1, ...items.map(i => i.value));
+  if (items.length === 0) return <div style={styles.headerSub}>{tr("common.noData")}</div>;
+  return (
+    <div style={{ marginTop: 8 }}>
+      {items.map((it, i) => (
+        <div key={i} style={{ marginBottom: 6 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12 }}>
+            <span>{it.label}</span>
+            <strong>{money ? formatMoney(it.value) : formatNumber(it.value)}</strong>
+          </div>
+          <div style={styles.barTrack}><div style={{ ...styles.barFill, width: `${(it.value / max) * 100}%` }} /></div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* SortHeader: th la riixi karo (sort asc/desc) */
+function SortHeader({ field, label, query, onSort }) {
+  const active = query.sort === field;
+  return (
+    <th onClick={() => onSort(field)} style={styles.sortable} aria-sort={active ? (query.order === "asc" ? "ascending" : "descending") : "none"}>
+      {label}{active ? (query.order === "asc" ? " ▲" : " ▼") : ""}
+    </th>
+  );
+}
+
+/* UsersPanel: server-side pagination, sort (balance/created/status) iyo filters */
+function UsersPanel({ users, total, query, onQueryChange, loading, onBan, onUnban, refresh, selected, onSelect, onSelectAllMatching, onBatch, onOpen, onHistory, onNotify, onExport, can }) {
+  const [minBalance, setMinBalance] = useState(query.minBalance);
+  const [maxBalance, setMaxBalance] = useState(query.maxBalance);
+
+  const totalPages = Math.max(1, Math.ceil(total / query.pageSize));
+  const from = total === 0 ? 0 : (query.page - 1) * query.pageSize + 1;
+  const to = Math.min(total, (query.page - 1) * query.pageSize + users.length);
+
+  const pageIds = users.map((u) => u.id);
+  const pageAllSelected = pageIds.length > 0 && pageIds.every((id) => selected.includes(id));
+  const togglePage = () => {
+    onSelect(pageAllSelected ? selected.filter((id) => !pageIds.includes(id)) : [...new Set([...selected, ...pageIds])]);
+  };
+
+  const toggleSort = (field) => {
+    const order = query.sort === field && query.order === "desc" ? "asc" : "desc";
+    onQueryChange({ sort: field, order });
+  };
+
+  const applyBalance = () => {
+    const min = minBalance === "" ? "" : Number(minBalance);
+    const max = maxBalance === "" ? "" : Number(maxBalance);
+    if ((min !== "" && isNaN(min)) || (max !== "" && isNaN(max))) return;
+    onQueryChange({ minBalance: min, maxBalance: max });
+  };
+
+  return (
+    <div>
+      <h2 style={styles.sectionTitle}>{tr("users.title", { total: formatNumber(total) })}</h2>
+      <div style={styles.toolbar}>
+        <button onClick={refresh} style={styles.btnPrimary}>{tr("common.refresh")}</button>
+        <ExportButton onExport={onExport} />
+        <select value={query.status} onChange={(e) => onQueryChange({ status: e.target.value })} style={styles.inputSmall} aria-label={tr("users.filterStatus")}>
+          <option value="all">{tr("common.all")}</option>
+          <option value="active">{tr("users.active")}</option>
+          <option value="banned">{tr("users.bannedLabel")}</option>
+        </select>
+        <input type="number" placeholder={tr("users.minBalance")} value={minBalance} onChange={(e) => setMinBalance(e.target.value)} style={styles.inputSmall} />
+        <input type="number" placeholder={tr("users.maxBalance")} value={maxBalance} onChange={(e) => setMaxBalance(e.target.value)} style={styles.inputSmall} />
+        <button onClick={applyBalance} style={styles.btnSecondary}>{tr("common.apply")}</button>
+      </div>
+      {can("users.ban") && (
+        <SelectionBar count={selected.length} total={total} onSelectAll={onSelectAllMatching} onClear={() => onSelect([])}>
+          <button onClick={() => onBatch(selected, "ban")} style={styles.btnDangerSmall}>{tr("users.banSelected")}</button>
+          <button onClick={() => onBatch(selected, "unban")} style={styles.btnPrimarySmall}>{tr("users.unbanSelected")}</button>
+        </SelectionBar>
+      )}
+      <div style={{ overflowX: "auto" }}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th><input type="checkbox" disabled={!can("users.ban")} checked={pageAllSelected} onChange={togglePage} aria-label={tr("common.selectPage")} /></th>
+              <th>{tr("common.id")}</th><th>{tr("common.name")}</th><th>{tr("common.email")}</th>
+              <SortHeader field="balance" label={tr("common.balance")} query={query} onSort={toggleSort} />
+              <SortHeader field="created" label={tr("common.created")} query={query} onSort={toggleSort} />
+              <SortHeader field="status" label={tr("common.status")} query={query} onSort={toggleSort} />
+              <th>{tr("common.actions")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(u => (
+              <tr key={u.id} onClick={() => onOpen(u.id)} style={styles.rowClickable}>
+                <td onClick={(e) => e.stopPropagation()}><input type="checkbox" disabled={!can("users.ban")} checked={selected.includes(u.id)} onChange={() => onSelect(toggleId(selected, u.id))} aria-label={tr("common.selectItem", { id: u.id })} /></td>
+                <td style={styles.code}>{u.id}</td>
+                <td>{u.name || "-"}</td>
+                <td style={styles.code}>{u.email || "-"}</td>
+                <td>{formatMoney(u.balance)}</td>
+                <td>{formatDate(u.createdAt, { dateStyle: "medium" })}</td>
+                <td>{u.banned ? tr("users.statusBanned") : tr("users.active")}</td>
+                <td onClick={(e) => e.stopPropagation()}>
+                  {can("users.ban") && (!u.banned ? <button onClick={() => onBan(u.id, u.version)} style={styles.btnDangerSmall}>{tr("common.ban")}</button>
+                                                  : <button onClick={() => onUnban(u.id, u.version)} style={styles.btnPrimarySmall}>{tr("common.unban")}</button>)}
+                  {onHistory && <button onClick={() => onHistory("user", u.id)} style={styles.btnLink}>{tr("common.history")}</button>}
+                  {onNotify && <button onClick={() => onNotify(u.id)} style={styles.btnLink}>{tr("notifications.notify")}</button>}
+                </td>
+              </tr>
+            ))}
+            {users.length === 0 && <tr><td colSpan={8} style={{ textAlign: "center", padding: 12 }}>{loading ? tr("common.loading") : tr("users.noneFound")}</td></tr>}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td colSpan={8}>
+                <div style={styles.pager}>
+                  <span>{tr("pager.summary", { from, to, total: formatNumber(total), page: query.page, pages: totalPages })}</span>
+                  <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                    <select value={query.pageSize} onChange={(e) => onQueryChange({ pageSize: Number(e.target.value) })} style={styles.inputSmall} aria-label={tr("pager.pageSize")}>
+                      {PAGE_SIZE_OPTIONS.map(n => <option key={n} value={n}>{tr("pager.perPage", { count: n })}</option>)}
+                    </select>
+                    <button onClick={() => onQueryChange({ page: query.page - 1 })} disabled={loading || query.page <= 1} style={styles.btnSecondary}>{tr("common.prev")}</button>
+                    <button onClick={() => onQueryChange({ page: query.page + 1 })} disabled={loading || query.page >= totalPages} style={styles.btnSecondary}>{tr("common.next")}</button>
+                  </div>
+                </div>
+              </td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/* UserDetailDrawer: profile, balance ledger, completed tasks, withdrawal history */
+// Ledger type -> catalog key (type aan la aqoon -> sida uu yahay)
+const LEDGER_LABELS = { task_reward: "ledger.taskReward", withdrawal: "ledger.withdrawal", adjustment: "ledger.adjustment" };
+
+function UserDetailDrawer({ api, userId, version, onClose, onBan, onUnban, onApproveWithdraw, onRejectWithdraw, onAdjust, can, children }) {
+  const [profile, setProfile] = useState(null);
+  const [ledger, setLedger] = useState([]);
+  const [completed, setCompleted] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [section, setSection] = useState("ledger"); // ledger | tasks | withdrawals
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setErr(null);
+      const id = encodeURIComponent(sanitize(userId));
+      // allSettled: qayb fashilantay ma joojiso inta kale
+      const [p, l, t, w] = await Promise.allSettled([
+        retryWithBackoff((call) => api.get(`/admin/user/${id}`, { call }), 2),
+        retryWithBackoff((call) => api.get(`/admin/user/${id}/ledger`, { call }), 2),
+        retryWithBackoff((call) => api.get(`/admin/user/${id}/tasks`, { call }), 2),
+        retryWithBackoff((call) => api.get(`/admin/user/${id}/withdrawals`, { call }), 2),
+      ]);
+      if (cancelled) return;
+      const list = (r, key) => (r.status === "fulfilled" ? (Array.isArray(r.value.data) ? r.value.data : r.value.data?.[key] || []) : []);
+      setProfile(p.status === "fulfilled" ? p.value.data?.user || p.value.data : null);
+      setLedger(list(l, "entries"));
+      setCompleted(list(t, "tasks"));
+      setHistory(list(w, "withdrawals"));
+      if ([p, l, t, w].some((r) => r.status === "rejected")) {
+        console.warn("user detail partial failure", [p, l, t, w].filter((r) => r.status === "rejected"));
+        setErr(tr("drawer.partialFailure"));
+      }
+      setLoading(false);
+    })();
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [userId, version]);
+
+  // Wadarta ledger-ka nooc kasta
+  const totals = ledger.reduce((acc, e) => {
+    acc[e.type] = (acc[e.type] || 0) + Number(e.amount || 0);
+    return acc;
+  }, {});
+
+  return (
+    <div style={styles.drawerOverlay} onClick={onClose}>
+      <aside style={styles.drawer} onClick={(e) => e.stopPropagation()} aria-label={tr("drawer.label")}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h2 style={styles.sectionTitle}>{tr("common.user")} <span style={styles.code}>{userId}</span></h2>
+          <button onClick={onClose} style={styles.btnSecondary}>{tr("common.close")}</button>
+        </div>
+
+        {children}
+        {err && <div style={styles.message}>{err}</div>}
+        {loading && !profile && <p>{tr("common.loading")}</p>}
+
+        {profile && (
+          <div style={styles.cardSmall}>
+            <div><strong>{profile.name || "-"}</strong> · <span style={styles.code}>{profile.email || "-"}</span></div>
+            <div style={styles.headerSub}>{tr("drawer.joined", { date: formatDate(profile.createdAt) })}</div>
+            <div style={styles.cardValue}>{formatMoney(profile.balance)}</div>
+            <div style={styles.headerSub}>
+              {tr("drawer.totals", { rewards: formatMoney(totals.task_reward), withdrawn: formatMoney(Math.abs(Number(totals.withdrawal || 0))), adjustments: formatMoney(totals.adjustment) })}
+            </div>
+            <div style={{ marginTop: 8 }}>
+              {profile.banned ? <strong>{tr("users.statusBanned")}</strong> : tr("users.active")}{" "}
+              {can("users.ban") && (!profile.banned ? <button onClick={() => onBan(userId, profile.version)} style={styles.btnDangerSmall}>{tr("common.ban")}</button>
+                                                    : <button onClick={() => onUnban(userId, profile.version)} style={styles.btnPrimarySmall}>{tr("common.unban")}</button>)}
+            </div>
+            {can("users.adjust") && (
+              <BalanceAdjustForm onSubmit={(direction, amount, reason) => onAdjust(userId, direction, amount, reason, profile.version)} />
+            )}
+          </div>
+        )}
+
+        <div style={{ ...styles.nav, marginTop: 12 }}>
+          <NavButton label={tr("drawer.ledger", { count: ledger.length })} active={section === "ledger"} onClick={() => setSection("ledger")} />
+          <NavButton label={tr("drawer.tasks", { count: completed.length })} active={section === "tasks"} onClick={() => setSection("tasks")} />
+          <NavButton label={tr("drawer.withdrawals", { count: history.length })} active={section === "withdrawals"} onClick={() => setSection("withdrawals")} />
+        </div>
+
+        {section === "ledger" && (
+          <table style={styles.table}>
+            <thead><tr><th>{tr("common.date")}</th><th>{tr("common.type")}</th><th>{tr("common.amount")}</th><th>{tr("common.balance")}</th><th>{tr("common.note")}</th></tr></thead>
+            <tbody>
+              {ledger.map((e, i) => (
+                <tr key={e.id || i}>
+                  <td>{formatDate(e.createdAt)}</td>
+                  <td>{trOr(LEDGER_LABELS[e.type], e.type)}</td>
+                  <td style={{ color: Number(e.amount) < 0 ? "#dc2626" : "#15803d" }}>{Number(e.amount) < 0 ? "-" : "+"}{formatMoney(Math.abs(Number(e.amount || 0)))}</td>
+                  <td>{e.balanceAfter != null ? formatMoney(e.balanceAfter) : "-"}</td>
+                  <td>{e.note || e.reason || "-"}</td>
+                </tr>
+              ))}
+              {ledger.length === 0 && <tr><td colSpan={5} style={{ textAlign: "center", padding: 12 }}>{tr("drawer.noLedger")}</td></tr>}
+            </tbody>
+          </table>
+        )}
+
+        {section === "tasks" && (
+          <table style={styles.table}>
+            <thead><tr><th>{tr("common.task")}</th><th>{tr("common.reward")}</th><th>{tr("drawer.completed")}</th></tr></thead>
+            <tbody>
+              {completed.map((t, i) => (
+                <tr key={t.id || i}>
+                  <td>{t.title || t.taskId}</td>
+                  <td>{formatMoney(t.reward)}</td>
+                  <td>{formatDate(t.completedAt || t.createdAt)}</td>
+                </tr>
+              ))}
+              {completed.length === 0 && <tr><td colSpan={3} style={{ textAlign: "center", padding: 12 }}>{tr("drawer.noCompleted")}</td></tr>}
+            </tbody>
+          </table>
+        )}
+
+        {section === "withdrawals" && (
+          <table style={styles.table}>
+            <thead><tr><th>{tr("common.id")}</th><th>{tr("common.amount")}</th><th>{tr("common.method")}</th><th>{tr("common.status")}</th><th>{tr("common.date")}</th><th>{tr("common.actions")}</th></tr></thead>
+            <tbody>
+              {history.map(w => (
+                <tr key={w.id}>
+                  <td style={styles.code}>{w.id}</td>
+                  <td>{formatMoney(w.amount)}</td>
+                  <td>{w.method}</td>
+                  <td><WithdrawalStatus w={w} /></td>
+                  <td>{formatDate(w.createdAt)}</td>
+                  <td>
+                    {isApprovable(w) && can("withdrawals.approve") && (
+                      <>
+                        <button onClick={() => onApproveWithdraw(w.id, w.amount, w.version)} style={styles.btnPrimarySmall}>{tr("common.approve")}</button>
+                        <button onClick={() => { const r=prompt(tr("withdrawals.rejectPrompt")); if(r!==null) onRejectWithdraw(w.id, r, w.version); }} style={styles.btnDangerSmall}>{tr("common.reject")}</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {history.length === 0 && <tr><td colSpan={6} style={{ textAlign: "center", padding: 12 }}>{tr("withdrawals.none")}</td></tr>}
+            </tbody>
+          </table>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+/* BalanceAdjustForm: credit/debit gacanta ah (amount + reason qasab) */
+function BalanceAdjustForm({ onSubmit }) {
+  const [direction, setDirection] = useState("credit");
+  const [amount, setAmount] = useState("");
+  const [reason, setReason] = useState("");
+
+  const submit = () => {
+    if (onSubmit(direction, amount, reason)) { setAmount(""); setReason(""); }
+  };
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <label><strong>{tr("adjust.title")}</strong></label>
+      <div style={styles.toolbar}>
+        <select value={direction} onChange={(e) => setDirection(e.target.value)} style={styles.inputSmall} aria-label={tr("adjust.direction")}>
+          <option value="credit">{tr("adjust.creditOption")}</option>
+          <option value="debit">{tr("adjust.debitOption")}</option>
+        </select>
+        <input type="number" min="0" step="0.01" placeholder={tr("adjust.amountPlaceholder")} value={amount} onChange={(e) => setAmount(e.target.value)} style={styles.inputSmall} />
+        <input placeholder={tr("adjust.reasonPlaceholder")} value={reason} onChange={(e) => setReason(e.target.value)} style={{ ...styles.inputSmall, flex: 1, minWidth: 160 }} />
+        <button onClick={submit} disabled={!amount || !reason.trim()} style={direction === "debit" ? styles.btnDangerSmall : styles.btnPrimarySmall}>{tr("common.apply")}</button>
+      </div>
+    </div>
+  );
+}
+
+/* TaskForm: create/edit form (category, limits, budget, schedule, proof) */
+function TaskForm({ initial, submitLabel, onSubmit, onCancel }) {
+  const [form, setForm] = useState({ ...EMPTY_TASK_FORM, ...initial });
+  const [errors, setErrors] = useState({});
+  const set = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  const submit = async () => {
+    const res = validateTask(form);
+    setErrors(res.errors || {});
+    if (res.errors) return;
+    if (await onSubmit(form) && !onCancel) setForm({ ...EMPTY_TASK_FORM });
+  };
+
+  return (
+    <div>
+      <Field error={errors.title}><input placeholder={tr("taskForm.title")} value={form.title} onChange={set("title")} style={styles.input} /></Field>
+      <Field error={errors.description}><textarea placeholder={tr("taskForm.description")} value={form.description} onChange={set("description")} style={{ ...styles.input, height: 80 }} /></Field>
+      <div style={styles.formGrid}>
+        <Field label={tr("taskForm.reward")} error={errors.reward}><input type="number" min="0" step="0.01" value={form.reward} onChange={set("reward")} style={styles.input} /></Field>
+        <Field label={tr("common.category")} error={errors.category}>
+          <select value={form.category} onChange={set("category")} style={styles.input}>
+            <option value="">{tr("taskForm.choose")}</option>
+            {TASK_CATEGORIES.map(c => <option key={c} value={c}>{tr(`category.${c}`)}</option>)}
+          </select>
+        </Field>
+        <Field label={tr("taskForm.proofRequired")} error={errors.proofType}>
+          <select value={form.proofType} onChange={set("proofType")} style={styles.input}>
+            {Object.entries(TASK_PROOF_TYPES).map(([k, label]) => <option key={k} value={k}>{tr(label)}</option>)}
+          </select>
+        </Field>
+        <Field label={tr("taskForm.targetUrl")} error={errors.targetUrl}><input placeholder="https://..." value={form.targetUrl} onChange={set("targetUrl")} style={styles.input} /></Field>
+        <Field label={tr("taskForm.maxCompletions")} error={errors.maxCompletions}><input type="number" min="1" placeholder={tr("taskForm.unlimited")} value={form.maxCompletions} onChange={set("maxCompletions")} style={styles.input} /></Field>
+        <Field label={tr("taskForm.perUserLimit")} error={errors.perUserLimit}><input type="number" min="1" value={form.perUserLimit} onChange={set("perUserLimit")} style={styles.input} /></Field>
+        <Field label={tr("taskForm.budgetCap")} error={errors.budgetCap}><input type="number" min="0" step="0.01" placeholder={tr("taskForm.noCap")} value={form.budgetCap} onChange={set("budgetCap")} style={styles.input} /></Field>
+        <Field label={tr("common.start")} error={errors.startAt}><input type="datetime-local" value={form.startAt} onChange={set("startAt")} style={styles.input} /></Field>
+        <Field label={tr("common.end")} error={errors.endAt}><input type="datetime-local" value={form.endAt} onChange={set("endAt")} style={styles.input} /></Field>
+      </div>
+      <div style={{ display: "flex", gap: 8 }}>
+        <button onClick={submit} style={styles.btnPrimary}>{submitLabel}</button>
+        {onCancel && <button onClick={onCancel} style={styles.btnSecondary}>{tr("common.cancel")}</button>}
+      </div>
+    </div>
+  );
+}
+
+function Field({ label, error, children }) {
+  return (
+    <label style={{ display: "block" }}>
+      {label && <span style={styles.fieldLabel}>{label}</span>}
+      {children}
+      {error && <span style={styles.fieldError}>{error}</span>}
+    </label>
+  );
+}
+
+/* TasksPanel: create, edit-in-place, status transitions, delete */
+function TasksPanel({ tasks, onAddTask, onImportTasks, onUpdateTask, onSetStatus, onDeleteTask, refresh, onHistory, onExport, can }) {
+  const canManage = can("tasks.manage");
+  const [editingId, setEditingId] = useState(null);
+
+  return (
+    <div>
+      <h2 style={styles.sectionTitle}>{tr("tasks.title", { count: tasks.length })}</h2>
+      <div style={{ marginBottom: 12 }}>
+        {canManage && <TaskForm initial={EMPTY_TASK_FORM} submitLabel={tr("tasks.create")} onSubmit={onAddTask} />}
+        <div style={{ marginTop: 8 }}>
+          <button onClick={refresh} style={styles.btnSecondary}>{tr("common.refresh")}</button>{" "}
+          <ExportButton onExport={onExport} />
+        </div>
+        {canManage && <TaskImport onImport={onImportTasks} />}
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={styles.table}>
+          <thead><tr><th>{tr("common.id")}</th><th>{tr("common.title")}</th><th>{tr("common.category")}</th><th>{tr("common.reward")}</th><th>{tr("common.status")}</th><th>{tr("common.completions")}</th><th>{tr("tasks.schedule")}</th><th>{tr("common.actions")}</th></tr></thead>
+          <tbody>
+            {tasks.map(t => {
+              const status = t.status || "draft";
+              const completions = Number(t.completions || 0);
+              if (editingId === t.id) {
+                return (
+                  <tr key={t.id}>
+                    <td style={styles.code}>{t.id}</td>
+                    <td colSpan={7}>
+                      <TaskForm
+                        initial={toTaskForm(t)}
+                        submitLabel={tr("common.save")}
+                        onSubmit={async (form) => { const ok = await onUpdateTask(t.id, form); if (ok) setEditingId(null); return ok; }}
+                        onCancel={() => setEditingId(null)}
+                      />
+                    </td>
+                  </tr>
+                );
+              }
+              return (
+                <tr key={t.id}>
+                  <td style={styles.code}>{t.id}</td>
+                  <td>
+                    {t.title}
+                    <div style={styles.headerSub}>{tr("tasks.proofLine", { proof: TASK_PROOF_TYPES[t.proofType] ? tr(TASK_PROOF_TYPES[t.proofType]) : "-" })}{t.perUserLimit ? ` · ${tr("tasks.perUser", { count: t.perUserLimit })}` : ""}</div>
+                  </td>
+                  <td>{t.category ? tr(`category.${t.category}`) : "-"}</td>
+                  <td>
+                    {formatMoney(t.reward)}
+                    {t.budgetCap != null && <div style={styles.headerSub}>{tr("tasks.cap", { amount: formatMoney(t.budgetCap) })}</div>}
+                  </td>
+                  <td><span style={{ ...styles.badge, ...(styles.taskStatus[status] || {}) }}>{tr(`taskStatus.${status}`)}</span></td>
+                  <td>{completions}{t.maxCompletions ? ` / ${t.maxCompletions}` : ""}</td>
+                  <td style={{ fontSize: 12 }}>
+                    {t.startAt ? formatDate(t.startAt) : tr("tasks.now")} → {t.endAt ? formatDate(t.endAt) : tr("tasks.noEnd")}
+                  </td>
+                  <td style={{ whiteSpace: "nowrap" }}>
+                    {canManage && (
+                      <>
+                        {status !== "archived" && (
+                          <button onClick={() => setEditingId(t.id)} style={styles.btnPrimarySmall}>{tr("common.edit")}</button>
+                        )}
+                        {(TASK_TRANSITIONS[status] || []).map(next => (
+                          <button key={next} onClick={() => onSetStatus(t, next)} style={next === "archived" ? styles.btnDangerSmall : styles.btnPrimarySmall}>
+                            {tr(next === "active" ? (status === "paused" ? "tasks.resume" : "tasks.activate") : next === "paused" ? "tasks.pause" : "tasks.archive")}
+                          </button>
+                        ))}
+                        <button
+                          onClick={() => onDeleteTask(t)}
+                          disabled={completions > 0}
+                          title={completions > 0 ? tr("tasks.deleteBlocked") : tr("common.delete")}
+                          style={{ ...styles.btnDangerSmall, ...(completions > 0 ? styles.btnDisabled : {}) }}
+                        >{tr("common.delete")}</button>
+                      </>
+                    )}
+                    {onHistory && <button onClick={() => onHistory("task", t.id)} style={styles.btnLink}>{tr("common.history")}</button>}
+                  </td>
+                </tr>
+              );
+            })}
+            {tasks.length === 0 && <tr><td colSpan={8} style={{ textAlign: "center", padding: 12 }}>{tr("tasks.none")}</td></tr>}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/* SubmissionsPanel: review queue + keyboard triage
+   j/k = hoos/kor, a = approve, r = reject, y = xaqiiji, n/Esc = cancel */
+function SubmissionsPanel({ submissions, loading, onApprove, onReject, refresh, confirm, onCancelConfirm }) {
+  const [cursor, setCursor] = useState(0);
+
+  // cursor-ka ha ka bixin liiska marka la refresh-gareeyo
+  useEffect(() => {
+    setCursor((c) => Math.min(c, Math.max(0, submissions.length - 1)));
+  }, [submissions.length]);
+
+  const rejectWithPrompt = (id) => {
+    const r = prompt(tr("withdrawals.rejectPrompt"));
+    if (r !== null) onReject(id, r);
+  };
+
+  useEffect(() => {
+    const onKey = (e) => {
+      const tag = (e.target && e.target.tagName) || "";
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(tag) || e.metaKey || e.ctrlKey || e.altKey) return;
+      // y/n kaliya confirm-yada panel-kan (outbox discard / step-up -> dialog-ga laftiisa)
+      if (confirm) {
+        if (confirm.source !== "submissions" || confirm.stepUp) return;
+        if (e.key === "y") { e.preventDefault(); confirm.action(); }
+        if (e.key === "n" || e.key === "Escape") { e.preventDefault(); onCancelConfirm(); }
+        return;
+      }
+      const current = submissions[cursor];
+      if (e.key === "j") setCursor((c) => Math.min(c + 1, submissions.length - 1));
+      else if (e.key === "k") setCursor((c) => Math.max(c - 1, 0));
+      else if (e.key === "a" && current) onApprove(current.id);
+      else if (e.key === "r" && current) rejectWithPrompt(current.id);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [submissions, cursor, confirm]);
+
+  return (
+    <div>
+      <h2 style={styles.sectionTitle}>{tr("submissions.title", { count: submissions.length })}</h2>
+      <div style={styles.toolbar}>
+        <button onClick={refresh} style={styles.btnPrimary}>{tr("common.refresh")}</button>
+        <span style={styles.headerSub}>{tr("submissions.shortcuts")} <kbd>j</kbd>/<kbd>k</kbd> {tr("submissions.move")} · <kbd>a</kbd> {tr("submissions.approve")} · <kbd>r</kbd> {tr("submissions.reject")} · <kbd>y</kbd> {tr("submissions.confirm")} · <kbd>n</kbd> {tr("submissions.cancel")}</span>
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table style={styles.table}>
+          <thead><tr><th>{tr("common.id")}</th><th>{tr("common.user")}</th><th>{tr("common.task")}</th><th>{tr("common.proof")}</th><th>{tr("submissions.submitted")}</th><th>{tr("common.actions")}</th></tr></thead>
+          <tbody>
+            {submissions.map((sub, i) => (
+              <tr key={sub.id} onClick={() => setCursor(i)} style={i === cursor ? styles.rowActive : undefined}>
+                <td style={styles.code}>{sub.id}</td>
+                <td style={styles.code}>{sub.userId}{sub.userName ? <div style={styles.headerSub}>{sub.userName}</div> : null}</td>
+                <td>{sub.taskTitle || sub.taskId}{sub.reward != null && <div style={styles.headerSub}>{formatMoney(sub.reward)}</div>}</td>
+                <td><ProofPreview proof={sub.proof} /></td>
+                <td>{formatDate(sub.submittedAt || sub.createdAt)}</td>
+                <td style={{ whiteSpace: "nowrap" }}>
+                  <button onClick={() => onApprove(sub.id)} style={styles.btnPrimarySmall}>{tr("common.approve")}</button>
+                  <button onClick={() => rejectWithPrompt(sub.id)} style={styles.btnDangerSmall}>{tr("common.reject")}</button>
+                </td>
+              </tr>
+            ))}
+            {submissions.length === 0 && <tr><td colSpan={6} style={{ textAlign: "center", padding: 12 }}>{loading ? tr("common.loading") : tr("submissions.none")}</td></tr>}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/* ProofPreview: text, screenshot (image) ama link */
+function ProofPreview({ proof }) {
+  if (!proof) return <span>-</span>;
+  if (typeof proof === "string") return <span>{proof}</span>;
+  return (
+    <div style={{ maxWidth: 280 }}>
+      {proof.imageUrl && isHttpUrl(proof.imageUrl) && (
+        <a href={proof.imageUrl} target="_blank" rel="noopener noreferrer">
+          <img src={proof.imageUrl} alt={tr("proof.screenshotAlt")} style={styles.proofImage} loading="lazy" />
+        </a>
+      )}
+      {proof.text && <div style={{ whiteSpace: "pre-wrap" }}>{proof.text}</div>}
+      {proof.url && isHttpUrl(proof.url) && (
+        <a href={proof.url} target="_blank" rel="noopener noreferrer" style={styles.code}>{proof.url}</a>
+      )}
+    </div>
+  );
+}
+
+/* WithdrawalsPanel */
+function WithdrawalsPanel({ withdrawals, usersById, adminId, policy, liveChanges = {}, onApprove, onReject, refresh, selected, onSelect, onBatch, onHistory, onExport, can }) {
+  const canApprove = can("withdrawals.approve");
+  const [reason, setReason] = useState(""); // sababta guud ee batch reject
+  const [riskFilter, setRiskFilter] = useState("all"); // all | medium | high
+  const [sortBy, setSortBy] = useState("default"); // default | risk | amount
+
+  const risk = useMemo(() => buildRiskIndex(withdrawals, usersById), [withdrawals, usersById]);
+  const rows = useMemo(() => {
+    let list = filterByRisk(withdrawals, risk, riskFilter);
+    if (sortBy === "risk") list = [...list].sort((a, b) => (risk[b.id]?.score ?? -1) - (risk[a.id]?.score ?? -1));
+    if (sortBy === "amount") list = [...list].sort((a, b) => Number(b.amount || 0) - Number(a.amount || 0));
+    return list;
+  }, [withdrawals, risk, riskFilter, sortBy]);
+
+  const pendingIds = rows.filter(isApprovable).map(w => w.id);
+  const allSelected = pendingIds.length > 0 && pendingIds.every(id => selected.includes(id));
+  const selectedTotal = withdrawals.filter(w => selected.includes(w.id)).reduce((sum, w) => sum + Number(w.amount || 0), 0);
+
+  return (
+    <div>
+      <h2 style={styles.sectionTitle}>{tr("withdrawals.title", { count: withdrawals.length })}</h2>
+      <div style={{ marginBottom: 8 }}>
+        <button onClick={refresh} style={styles.btnPrimary}>{tr("common.refresh")}</button>{" "}
+        <ExportButton
+          formats={{ ...EXPORT_FORMATS, payout: tr("export.payoutBatch") }}
+          onExport={(format, onProgress) => onExport(format, onProgress, (list) => filterByRisk(list, buildRiskIndex(list, usersById), riskFilter))}
+        />
+      </div>
+      <div style={styles.toolbar}>
+        <select value={riskFilter} onChange={(e) => setRiskFilter(e.target.value)} style={styles.inputSmall} aria-label={tr("withdrawals.filterRisk")}>
+          <option value="all">{tr("withdrawals.allRisk")}</option>
+          <option value="medium">{tr("withdrawals.mediumPlus")}</option>
+          <option value="high">{tr("withdrawals.highOnly")}</option>
+        </select>
+        <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} style={styles.inputSmall} aria-label={tr("withdrawals.sort")}>
+          <option value="default">{tr("withdrawals.defaultOrder")}</option>
+          <option value="risk">{tr("withdrawals.riskFirst")}</option>
+          <option value="amount">{tr("withdrawals.amountFirst")}</option>
+        </select>
+      </div>
+      {canApprove && <SelectionBar count={selected.length} total={pendingIds.length} onSelectAll={() => onSelect(pendingIds)} onClear={() => onSelect([])}>
+        <span style={{ fontSize: 13 }}>{formatMoney(selectedTotal)}</span>
+        <button onClick={() => onBatch(selected, "approve")} style={styles.btnPrimarySmall}>{tr("withdrawals.approveSelected")}</button>
+        <input placeholder={tr("withdrawals.batchReason")} value={reason} onChange={(e) => setReason(e.target.value)} style={styles.inputSmall} />
+        <button onClick={() => onBatch(selected, "reject", reason)} style={styles.btnDangerSmall}>{tr("withdrawals.rejectSelected")}</button>
+      </SelectionBar>}
+      <div style={{ overflowX: "auto" }}>
+        <table style={styles.table}>
+          <thead><tr><th>{canApprove && <input type="checkbox" checked={allSelected} onChange={() => onSelect(allSelected ? [] : pendingIds)} aria-label={tr("withdrawals.selectAllPending")} />}</th><th>{tr("common.id")}</th><th>{tr("common.user")}</th><th>{tr("common.amount")}</th><th>{tr("common.method")}</th><th>{tr("common.status")}</th><th>{tr("common.risk")}</th><th>{tr("common.actions")}</th></tr></thead>
+          <tbody>
+            {rows.map(w => (
+              <tr key={w.id} style={{ ...(risk[w.id] ? styles.riskRow[risk[w.id].level] : {}), ...(liveChanges[w.id] ? styles.rowLiveChanged : {}) }}>
+                <td>{isApprovable(w) && canApprove && <input type="checkbox" checked={selected.includes(w.id)} onChange={() => onSelect(toggleId(selected, w.id))} aria-label={tr("common.selectItem", { id: w.id })} />}</td>
+                <td style={styles.code}>{w.id}</td>
+                <td style={styles.code}>{w.userId}</td>
+                <td>{formatMoney(w.amount)}</td>
+                <td>{w.method}</td>
+                <td>
+                  <WithdrawalStatus w={w} />
+                  {liveChanges[w.id] && <div style={styles.liveNote}>{tr("withdrawals.changedBy", { actor: liveChanges[w.id].actor })}</div>}
+                </td>
+                <td><RiskBadge risk={risk[w.id]} /></td>
+                <td>
+                  {isApprovable(w) && canApprove && (
+                    <>
+                      <button
+                        onClick={() => onApprove(w.id, w.amount, w.version)}
+                        disabled={w.status === "AWAITING_SECOND_APPROVAL" && adminId != null && w.firstApproverId === adminId}
+                        title={w.status === "AWAITING_SECOND_APPROVAL" ? tr("withdrawals.secondApprovalTitle") : tr("common.approve")}
+                        style={styles.btnPrimarySmall}
+                      >{w.status === "AWAITING_SECOND_APPROVAL" ? tr("withdrawals.approveSecond") : needsSecondApproval(w, policy) ? tr("withdrawals.approveFirst") : tr("common.approve")}</button>
+                      <button onClick={() => { const r=prompt(tr("withdrawals.rejectPrompt")); if(r!==null) onReject(w.id, r, w.version); }} style={styles.btnDangerSmall}>{tr("common.reject")}</button>
+                    </>
+                  )}
+                  {onHistory && <button onClick={() => onHistory("withdrawal", w.id)} style={styles.btnLink}>{tr("common.history")}</button>}
+                </td>
+              </tr>
+            ))}
+            {rows.length === 0 && <tr><td colSpan={8} style={{ textAlign: "center", padding: 12 }}>{tr("withdrawals.none")}</td></tr>}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/* WithdrawalStatus: status + four-eyes info */
+function WithdrawalStatus({ w }) {
+  const label = trOr(`withdrawalStatus.${w.status}`, w.status);
+  // payout fashilmay -> queue-ga dib ayuu ugu soo noqday (sababta provider-ka)
+  if (w.failureReason && w.status === "APPROVED") {
+    return <span>{label}<div style={styles.liveNote}>{tr("withdrawals.lastFailure", { reason: w.failureReason })}</div></span>;
+  }
+  if (w.status !== "AWAITING_SECOND_APPROVAL") return <span>{label}</span>;
+  return (
+    <span>
+      {label}
+      {w.firstApproverName || w.firstApproverId ? <div style={styles.headerSub}>{tr("withdrawals.firstApprover", { name: w.firstApproverName || w.firstApproverId })}</div> : null}
+    </span>
+  );
+}
+
+/* RiskBadge: level + flags (signals) */
+function RiskBadge({ risk }) {
+  if (!risk) return <span>-</span>;
+  return (
+    <div>
+      <span style={{ ...styles.badge, ...styles.riskBadge[risk.level] }}>{tr(`risk.level.${risk.level}`)} · {risk.score}</span>
+      {risk.flags.length > 0 && (
+        <ul style={styles.flagList}>
+          {risk.flags.map(f => <li key={f.key}>{tr(`risk.${f.key}`, f.key === "exceedsEarnings" ? { earned: formatMoney(f.vars.earned) } : f.vars)}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/* NotificationsPanel: composer (audience, so/en, channels, hadda ama jadwal) + preview/reach, history (delivery counts) */
+function NotificationsPanel({ api, targetUserId, onClearTarget }) {
+  const [form, setForm] = useState(EMPTY_NOTIFICATION_FORM);
+  const [errors, setErrors] = useState({});
+  const [previewLang, setPreviewLang] = useState("so");
+  // tirada users-ka (server estimate) audience-ka key-giisa: count null + failed -> "lama yaqaan"
+  const [reach, setReach] = useState({ key: null, count: null, failed: false });
+  const [pending, setPending] = useState(null); // notification -> confirm kahor dirista
+  const [pendingReach, setPendingReach] = useState(null); // count-ka audience-ka pending (null = lama yaqaan)
+  const [history, setHistory] = useState([]);
+  const [page, setPage] = useState(1);
+  const [confirmCancel, setConfirmCancel] = useState(null); // notification id
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState(null);
+
+  // Users tab "Notify" -> hal user
+  useEffect(() => {
+    if (targetUserId) setForm((f) => ({ ...f, audience: "user", userId: targetUserId }));
+  }, [targetUserId]);
+
+  const loadHistory = async () => {
+    try {
+      const res = await retryWithBackoff((call) => api.get("/admin/notifications", { params: { page, pageSize: NOTIFICATION_PAGE_SIZE }, call }), 2);
+      setHistory(Array.isArray(res.data) ? res.data : res.data.notifications || []);
+    } catch (e) {
+      console.error("loadNotifications", e);
+      setMsg(errorMessage(e, tr("notifications.loadFailed")));
+    }
+  };
+
+  useEffect(() => {
+    loadHistory();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [page]);
+
+  // Reach: audience -> /admin/notifications/audience { count }; null = estimate-ku wuu fashilmay
+  const estimateReach = async (audience) => {
+    if (audience.type === "user") return audience.userId ? 1 : 0;
+    try {
+      const res = await api.get("/admin/notifications/audience", { params: { type: audience.type, ...(audience.filters || {}) } });
+      return Number(res.data?.count) || 0;
+    } catch (e) {
+      console.warn("audience estimate", e); // estimate la'aan ayaa lagu sii socdaa
+      return null;
+    }
+  };
+
+  // audience-ka hadda (debounced) -> estimate; reach.key !== currentKey = weli la xisaabinayaa
+  const currentKey = JSON.stringify(buildAudience(form));
+  const audienceKey = useDebouncedValue(currentKey);
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const count = await estimateReach(JSON.parse(audienceKey));
+      if (!cancelled) setReach({ key: audienceKey, count, failed: count == null });
+    })();
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [audienceKey]);
+  const reachReady = reach.key === currentKey;
+
+  const set = (key) => (e) => {
+    setPending(null);
+    setForm({ ...form, [key]: e.target.type === "checkbox" ? e.target.checked : e.target.value });
+  };
+
+  // Confirm-ku had iyo jeer wuxuu tusaa count-ka audience-kan (debounce weli socda -> hadda xisaabi)
+  const review = async () => {
+    setMsg(null);
+    const res = validateNotification(form);
+    setErrors(res.errors || {});
+    if (res.errors) return;
+    setBusy(true);
+    try {
+      setPendingReach(reachReady ? reach.count : await estimateReach(res.notification.audience));
+      setPending(res.notification);
+    } finally { setBusy(false); }
+  };
+
+  const send = async () => {
+    setBusy(true);
+    setMsg(null);
+    try {
+      await postMutation(api, "/admin/notifications/send", pending);
+      setMsg(tr(pending.sendAt ? "notifications.scheduled" : "notifications.sent"));
+      setPending(null);
+      setForm(EMPTY_NOTIFICATION_FORM);
+      onClearTarget();
+      if (page === 1) await loadHistory();
+      else setPage(1);
+    } catch (err) {
+      console.error("sendNotification", err);
+      setMsg(errorMessage(err, tr("notifications.sendFailed")));
+    } finally { setBusy(false); }
+  };
+
+  const cancel = async (n) => {
+    setBusy(true);
+    setMsg(null);
+    try {
+      await postMutation(api, "/admin/notifications/cancel", { id: sanitize(n.id) }, { version: n.version });
+      setMsg(tr("notifications.cancelled"));
+      await loadHistory();
+    } catch (err) {
+      console.error("cancelNotification", err);
+      setMsg(errorMessage(err, tr("notifications.cancelFailed")));
+      if (err?.isConflict) await loadHistory();
+    } finally { setBusy(false); setConfirmCancel(null); }
+  };
+
+  const len = (key) => ({ length: sanitize(form[key]).length });
+  const preview = previewLang === "en" && form.titleEn ? { title: form.titleEn, body: form.bodyEn } : { title: form.titleSo, body: form.bodySo };
+
+  return (
+    <div>
+      <h2 style={styles.sectionTitle}>{tr("notifications.title")}</h2>
+      {msg && <div style={styles.toast}>{msg}</div>}
+
+      <div style={styles.cardSmall}>
+        <h3 style={styles.cardTitle}>{tr("notifications.compose")}</h3>
+        <div style={styles.formGrid}>
+          <Field label={tr("notifications.audience")}>
+            <select value={form.audience} onChange={set("audience")} style={styles.input}>
+              <option value="all">{tr("notifications.audienceAll")}</option>
+              <option value="segment">{tr("notifications.audienceSegment")}</option>
+              <option value="user">{tr("notifications.audienceUser")}</option>
+            </select>
+          </Field>
+          {form.audience === "user" && (
+            <Field label={tr("notifications.userId")} error={errors.userId}>
+              <input value={form.userId} onChange={set("userId")} style={styles.input} />
+              {targetUserId && targetUserId === form.userId && <span style={styles.headerSub}>{tr("notifications.fromUsers")}</span>}
+            </Field>
+          )}
+        </div>
+        {form.audience === "segment" && (
+          <div style={styles.formGrid}>
+            <Field label={tr("notifications.status")}>
+              <select value={form.status} onChange={set("status")} style={styles.input}>
+                <option value="all">{tr("notifications.anyStatus")}</option>
+                <option value="active">{tr("users.active")}</option>
+                <option value="banned">{tr("users.statusBanned")}</option>
+              </select>
+            </Field>
+            <Field label={tr("notifications.minBalance")} error={errors.minBalance}><input type="number" min="0" step="0.01" value={form.minBalance} onChange={set("minBalance")} style={styles.input} /></Field>
+            <Field label={tr("notifications.maxBalance")} error={errors.maxBalance}><input type="number" min="0" step="0.01" value={form.maxBalance} onChange={set("maxBalance")} style={styles.input} /></Field>
+            <Field label={tr("notifications.activeWithin")}>
+              <select value={form.activeWithinDays} onChange={set("activeWithinDays")} style={styles.input}>
+                <option value="">{tr("notifications.anyTime")}</option>
+                {NOTIFICATION_ACTIVE_DAYS.map((d) => <option key={d} value={d}>{tr("notifications.lastDays", { days: d })}</option>)}
+              </select>
+            </Field>
+          </div>
+        )}
+        <div style={{ ...styles.headerSub, marginBottom: 8 }}>
+          {!reachReady ? tr("notifications.reachLoading")
+            : reach.failed ? tr("notifications.reachUnknown")
+            : tr("notifications.reach", { count: formatNumber(reach.count) })}
+        </div>
+
+        <div style={styles.formGrid}>
+          <Field label={tr("notifications.titleSo", { ...len("titleSo"), max: NOTIFICATION_TITLE_MAX })} error={errors.titleSo}><input value={form.titleSo} onChange={set("titleSo")} style={styles.input} /></Field>
+          <Field label={tr("notifications.titleEn", { ...len("titleEn"), max: NOTIFICATION_TITLE_MAX })} error={errors.titleEn}><input value={form.titleEn} onChange={set("titleEn")} style={styles.input} /></Field>
+          <Field label={tr("notifications.bodySo", { ...len("bodySo"), max: NOTIFICATION_BODY_MAX })} error={errors.bodySo}><textarea value={form.bodySo} onChange={set("bodySo")} style={{ ...styles.input, height: 70 }} /></Field>
+          <Field label={tr("notifications.bodyEn", { ...len("bodyEn"), max: NOTIFICATION_BODY_MAX })} error={errors.bodyEn}><textarea value={form.bodyEn} onChange={set("bodyEn")} style={{ ...styles.input, height: 70 }} /></Field>
+        </div>
+
+        <div style={{ ...styles.toolbar, marginBottom: 8 }}>
+          <span style={styles.fieldLabel}>{tr("notifications.channels")}:</span>
+          <label><input type="checkbox" checked={form.push} onChange={set("push")} /> {tr("notifications.push")}</label>
+          <label><input type="checkbox" checked={form.inApp} onChange={set("inApp")} /> {tr("notifications.inApp")}</label>
+          {errors.channels && <span style={styles.fieldError}>{errors.channels}</span>}
+        </div>
+
+        <div style={{ ...styles.toolbar, marginBottom: 8 }}>
+          <label><input type="radio" name="sendMode" value="now" checked={form.sendMode === "now"} onChange={set("sendMode")} /> {tr("notifications.sendNow")}</label>
+          <label><input type="radio" name="sendMode" value="schedule" checked={form.sendMode === "schedule"} onChange={set("sendMode")} /> {tr("notifications.schedule")}</label>
+        </div>
+        {form.sendMode === "schedule" && (
+          <div style={styles.formGrid}>
+            <Field label={tr("notifications.sendAt")} error={errors.scheduleAt}><input type="datetime-local" value={form.scheduleAt} onChange={set("scheduleAt")} style={styles.input} /></Field>
+            <Field label={tr("maintenance.timezone")}>
+              <select value={form.timezone} onChange={set("timezone")} style={styles.input}>
+                {MAINTENANCE_TIMEZONES.map((tz) => <option key={tz} value={tz}>{tz}</option>)}
+              </select>
+            </Field>
+          </div>
+        )}
+
+        <div style={{ ...styles.toolbar, marginBottom: 6 }}>
+          <span style={styles.fieldLabel}>{tr("notifications.preview")}</span>
+          {Object.entries(LANGUAGES).map(([code, name]) => (
+            <button key={code} onClick={() => setPreviewLang(code)} style={previewLang === code ? styles.btnPrimarySmall : styles.btnLink}>{name}</button>
+          ))}
+        </div>
+        <div style={styles.notificationPreview}>
+          <div style={{ fontSize: 11, color: "#6b7280" }}>TaskEarn · {tr("notifications.previewNow")}</div>
+          <div style={{ fontWeight: 700, marginTop: 2 }}>{sanitize(preview.title) || "…"}</div>
+          <div style={{ fontSize: 13, marginTop: 2, whiteSpace: "pre-wrap" }}>{sanitize(preview.body) || "…"}</div>
+        </div>
+
+        {pending ? (
+          <div style={{ ...styles.confirm, marginTop: 8 }}>
+            <p>
+              {tr(pending.sendAt ? "notifications.confirmSchedule" : "notifications.confirmSend", {
+                title: pending.message.so.title,
+                audience: describeAudience(pending.audience),
+                count: pendingReach == null ? "?" : formatNumber(pendingReach),
+                time: pending.sendAt ? formatInZone(pending.sendAt, pending.timezone) : "",
+              })}
+            </p>
+            {pendingReach == null && <p style={styles.headerSub}>{tr("notifications.reachUnknown")}</p>}
+            <div style={{ display: "flex", gap: 8 }}>
+              <button onClick={send} disabled={busy} style={styles.btnPrimary}>{tr("notifications.confirm")}</button>
+              <button onClick={() => setPending(null)} disabled={busy} style={styles.btnSecondary}>{tr("common.back")}</button>
+            </div>
+          </div>
+        ) : (
+          <button onClick={review} disabled={busy} style={{ ...styles.btnPrimary, marginTop: 8 }}>{tr("notifications.review")}</button>
+        )}
+      </div>
+
+      <div style={{ ...styles.cardSmall, marginTop: 12 }}>
+        <h3 style={styles.cardTitle}>{tr("notifications.history")}</h3>
+        <div style={{ overflowX: "auto" }}>
+          <table style={styles.table}>
+            <thead><tr><th>{tr("common.time")}</th><th>{tr("notifications.message")}</th><th>{tr("notifications.audience")}</th><th>{tr("common.status")}</th><th>{tr("notifications.delivery")}</th><th></th></tr></thead>
+            <tbody>
+              {history.map((n) => {
+                const stats = n.stats || {};
+                return (
+                  <tr key={n.id}>
+                    <td>
+                      {formatDate(n.sentAt || n.sendAt || n.createdAt)}
+                      {(n.createdByName || n.createdBy) && <div style={styles.headerSub}>{n.createdByName || n.createdBy}</div>}
+                    </td>
+                    <td>
+                      <strong>{n.message?.so?.title || n.message?.en?.title || "-"}</strong>
+                      <div style={{ fontSize: 12 }}>{n.message?.so?.body || n.message?.en?.body || ""}</div>
+                    </td>
+                    <td style={{ fontSize: 13 }}>{describeAudience(n.audience)}</td>
+                    <td><span style={{ ...styles.badge, ...styles.notificationStatus[n.status] }}>{trOr(`notificationStatus.${n.status}`, n.status)}</span></td>
+                    <td style={{ fontSize: 13 }}>
+                      {tr("notifications.deliveryCounts", { delivered: formatNumber(stats.delivered), targeted: formatNumber(stats.targeted) })}
+                      <div style={styles.headerSub}>{tr("notifications.deliveryDetail", { failed: formatNumber(stats.failed), opened: formatNumber(stats.opened) })}</div>
+                    </td>
+                    <td>
+                      {n.status === "SCHEDULED" && (confirmCancel === n.id ? (
+                        <>
+                          <button onClick={() => cancel(n)} disabled={busy} style={styles.btnDangerSmall}>{tr("notifications.confirmCancel")}</button>{" "}
+                          <button onClick={() => setConfirmCancel(null)} disabled={busy} style={styles.btnLink}>{tr("maintenance.keep")}</button>
+                        </>
+                      ) : (
+                        <button onClick={() => setConfirmCancel(n.id)} disabled={busy} style={styles.btnDangerSmall}>{tr("common.cancel")}</button>
+                      ))}
+                    </td>
+                  </tr>
+                );
+              })}
+              {history.length === 0 && <tr><td colSpan={6} style={{ textAlign: "center", padding: 12 }}>{tr("notifications.none")}</td></tr>}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colSpan={6}>
+                  <div style={styles.pager}>
+                    <span>{tr("pager.page", { page })}</span>
+                    <div style={{ display: "flex", gap: 8 }}>
+                      <button onClick={() => setPage(page - 1)} disabled={page <= 1} style={styles.btnSecondary}>{tr("common.prev")}</button>
+                      <button onClick={() => setPage(page + 1)} disabled={history.length < NOTIFICATION_PAGE_SIZE} style={styles.btnSecondary}>{tr("common.next")}</button>
+                    </div>
+                  </div>
+                </td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* PayoutsPanel: approved withdrawals -> batch (method kasta) -> export -> SENT -> provider results (PAID / FAILED) */
+function PayoutsPanel({ api, cacheTab, restoreTab }) {
+  const [ready, setReady] = useState([]); // APPROVED oo aan batch ku jirin
+  const [batches, setBatches] = useState([]);
+  const [confirm, setConfirm] = useState(null); // { type: "create", method } | { type: "sent", id }
+  const [openId, setOpenId] = useState(null); // batch-ka items-kiisa la muujinayo
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState(null);
+
+  const load = async () => {
+    try {
+      const [w, b] = await Promise.all([
+        retryWithBackoff((call) => api.get("/admin/withdrawals", { params: { status: "APPROVED" }, call }), 2),
+        retryWithBackoff((call) => api.get("/admin/payout-batches", { call }), 2),
+      ]);
+      const list = Array.isArray(w.data) ? w.data : w.data.withdrawals || [];
+      const data = { ready: list.filter((x) => x.status === "APPROVED" && !x.batchId), batches: Array.isArray(b.data) ? b.data : b.data.batches || [] };
+      setReady(data.ready);
+      setBatches(data.batches);
+      cacheTab("payouts", data);
+    } catch (e) {
+      console.error("loadPayouts", e);
+      if (!restoreTab("payouts", e, (d) => { setReady(d.ready || []); setBatches(d.batches || []); })) setMsg(errorMessage(e, tr("payouts.loadFailed")));
+    }
+  };
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // fn -> fariinta guusha. true = guulaystay
+  const run = async (fn, context) => {
+    setBusy(true);
+    setMsg(null);
+    try {
+      setMsg(await fn());
+      await load();
+      return true;
+    } catch (err) {
+      console.error("payouts", err);
+      setMsg(errorMessage(err, context));
+      if (err?.isConflict) await load();
+      return false;
+    } finally { setBusy(false); setConfirm(null); }
+  };
+
+  const groups = Object.values(ready.reduce((acc, w) => {
+    const g = acc[w.method] || (acc[w.method] = { method: w.method, items: [], total: 0 });
+    g.items.push(w);
+    g.total += Number(w.amount || 0);
+    return acc;
+  }, {}));
+  const countOf = (b) => b.count ?? (b.items || []).length;
+  const totalOf = (b) => b.total ?? (b.items || []).reduce((sum, i) => sum + Number(i.amount || 0), 0);
+
+  const createBatch = (g) => run(async () => {
+    await postMutation(api, "/admin/payout-batch/create", { method: g.method, withdrawalIds: g.items.map((w) => sanitize(w.id)) });
+    return tr("payouts.created", { method: g.method, count: g.items.length });
+  }, tr("payouts.createFailed"));
+
+  const markSent = (b) => run(async () => {
+    await postMutation(api, "/admin/payout-batch/sent", { id: sanitize(b.id) }, { version: b.version });
+    return tr("payouts.sent", { id: b.id });
+  }, tr("payouts.sentFailed"));
+
+  const reconcile = (b, results) => run(async () => {
+    await postMutation(api, "/admin/payout-batch/reconcile", { id: sanitize(b.id), results }, { version: b.version });
+    const paid = results.filter((r) => r.status === "PAID").length;
+    return tr("payouts.reconciled", { id: b.id, paid, failed: results.length - paid });
+  }, tr("payouts.reconcileFailed"));
+
+  const exportBatch = (b, format) => {
+    const rows = (b.items || []).map((i) => ({ ...i, method: b.method, batchId: b.id }));
+    downloadTable(toTable(rows, EXPORT_COLUMNS.payoutBatch), `payout-${String(b.method).replace(/\W+/g, "-").toLowerCase()}-${b.id}`, format);
+  };
+
+  return (
+    <div>
+      <h2 style={styles.sectionTitle}>{tr("payouts.title")}</h2>
+      {msg && <div style={styles.toast}>{msg}</div>}
+
+      <div style={styles.cardSmall}>
+        <h3 style={styles.cardTitle}>{tr("payouts.ready")}</h3>
+        {groups.length === 0 ? <div style={{ fontSize: 13 }}>{tr("payouts.noneReady")}</div> : (
+          <table style={styles.table}>
+            <thead><tr><th>{tr("payouts.methodCol")}</th><th>{tr("payouts.summaryCol")}</th><th>{tr("common.actions")}</th></tr></thead>
+            <tbody>
+              {groups.map((g) => (
+                <tr key={g.method}>
+                  <td>{g.method}</td>
+                  <td>{tr("payouts.readySummary", { count: g.items.length, total: formatMoney(g.total) })}</td>
+                  <td>
+                    {confirm?.type === "create" && confirm.method === g.method ? (
+                      <>
+                        <span style={{ fontSize: 13 }}>{tr("payouts.confirmCreate", { method: g.method, count: g.items.length, total: formatMoney(g.total) })}</span>{" "}
+                        <button onClick={() => createBatch(g)} disabled={busy} style={styles.btnPrimarySmall}>{tr("payouts.createBatch")}</button>{" "}
+                        <button onClick={() => setConfirm(null)} disabled={busy} style={styles.btnLink}>{tr("common.cancel")}</button>
+                      </>
+                    ) : (
+                      <button onClick={() => setConfirm({ type: "create", method: g.method })} disabled={busy} style={styles.btnPrimarySmall}>{tr("payouts.createBatch")}</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div style={{ ...styles.cardSmall, marginTop: 12 }}>
+        <h3 style={styles.cardTitle}>{tr("payouts.batches")}</h3>
+        {batches.length === 0 ? <div style={{ fontSize: 13 }}>{tr("payouts.noBatches")}</div> : (
+          <table style={styles.table}>
+            <thead><tr><th>{tr("payouts.batch")}</th><th>{tr("payouts.methodCol")}</th><th>{tr("payouts.summaryCol")}</th><th>{tr("common.status")}</th><th>{tr("common.created")}</th><th>{tr("common.actions")}</th></tr></thead>
+            <tbody>
+              {batches.map((b) => (
+                <React.Fragment key={b.id}>
+                  <tr>
+                    <td style={styles.code}>{b.id}</td>
+                    <td>{b.method}</td>
+                    <td>{tr("payouts.readySummary", { count: countOf(b), total: formatMoney(totalOf(b)) })}</td>
+                    <td><span style={{ ...styles.badge, ...styles.payoutBatchStatus[b.status] }}>{trOr(`payoutBatchStatus.${b.status}`, b.status)}</span></td>
+                    <td>
+                      {formatDate(b.createdAt)}
+                      {(b.createdByName || b.createdBy) && <div style={styles.headerSub}>{b.createdByName || b.createdBy}</div>}
+                    </td>
+                    <td>
+                      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+                        <ExportButton onExport={(format) => exportBatch(b, format)} />
+                        {b.status === "OPEN" && (confirm?.type === "sent" && confirm.id === b.id ? (
+                          <>
+                            <span style={{ fontSize: 13 }}>{tr("payouts.confirmSent", { id: b.id, count: countOf(b), total: formatMoney(totalOf(b)) })}</span>
+                            <button onClick={() => markSent(b)} disabled={busy} style={styles.btnPrimarySmall}>{tr("payouts.markSent")}</button>
+                            <button onClick={() => setConfirm(null)} disabled={busy} style={styles.btnLink}>{tr("common.cancel")}</button>
+                          </>
+                        ) : (
+                          <button onClick={() => setConfirm({ type: "sent", id: b.id })} disabled={busy} style={styles.btnPrimarySmall}>{tr("payouts.markSent")}</button>
+                        ))}
+                        <button onClick={() => setOpenId(openId === b.id ? null : b.id)} style={styles.btnLink}>{openId === b.id ? tr("payouts.hideItems") : tr("payouts.items")}</button>
+                      </div>
+                    </td>
+                  </tr>
+                  {openId === b.id && (
+                    <tr>
+                      <td colSpan={6}>
+                        {b.status === "SENT" && <PayoutResultImport batch={b} busy={busy} onReconcile={(results) => reconcile(b, results)} />}
+                        <table style={{ ...styles.table, marginTop: 8 }}>
+                          <thead><tr><th>{tr("common.id")}</th><th>{tr("common.user")}</th><th>{tr("common.amount")}</th><th>{tr("payouts.destination")}</th><th>{tr("common.status")}</th><th>{tr("payouts.reference")}</th></tr></thead>
+                          <tbody>
+                            {(b.items || []).map((i) => (
+                              <tr key={i.withdrawalId} style={i.status === "FAILED" ? styles.riskRow.high : undefined}>
+                                <td style={styles.code}>{i.withdrawalId}</td>
+                                <td style={styles.code}>{i.userId}</td>
+                                <td>{formatMoney(i.amount)}</td>
+                                <td>{i.destination || "-"}</td>
+                                <td>
+                                  {trOr(`withdrawalStatus.${i.status}`, i.status || "-")}
+                                  {i.failureReason && <div style={{ fontSize: 12 }}>{i.failureReason}</div>}
+                                </td>
+                                <td>{i.providerRef || "-"}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* PayoutResultImport: provider result CSV -> preview (paid / failed / khaldan / maqan) -> reconcile */
+function PayoutResultImport({ batch, busy, onReconcile }) {
+  const [parsed, setParsed] = useState(null); // { name, results, problems, missing }
+  const [err, setErr] = useState(null);
+
+  const onFile = async (e) => {
+    const f = e.target.files && e.target.files[0];
+    e.target.value = "";
+    setErr(null);
+    setParsed(null);
+    if (!f) return;
+    try {
+      const res = parsePayoutResults(await f.text(), batch);
+      if (res.error) return setErr(res.error);
+      setParsed({ name: f.name, ...res });
+    } catch (ex) {
+      console.error("parsePayoutResults", ex);
+      setErr(tr("payouts.import.unreadable"));
+    }
+  };
+
+  const apply = async () => {
+    if (await onReconcile(parsed.results)) setParsed(null);
+  };
+
+  const paid = parsed ? parsed.results.filter((r) => r.status === "PAID").length : 0;
+  return (
+    <div style={{ marginBottom: 8 }}>
+      <label style={styles.fieldLabel}>
+        {tr("payouts.importResults")}{" "}
+        <input type="file" accept=".csv,text/csv" onChange={onFile} disabled={busy} aria-label={tr("payouts.importAria")} />
+      </label>
+      {err && <div style={styles.message}>{err}</div>}
+      {parsed && (
+        <div style={{ ...styles.cardSmall, marginTop: 8 }}>
+          <div>
+            <strong>{parsed.name}</strong>: {tr("payouts.import.summary", { paid, failed: parsed.results.length - paid, problems: parsed.problems.length, missing: parsed.missing.length })}
+          </div>
+          {parsed.problems.length > 0 && (
+            <table style={{ ...styles.table, marginTop: 8 }}>
+              <thead><tr><th>{tr("payouts.import.line")}</th><th>{tr("common.id")}</th><th>{tr("payouts.failureReason")}</th></tr></thead>
+              <tbody>
+                {parsed.problems.map((p) => (
+                  <tr key={p.line} style={styles.riskRow.high}><td>{p.line}</td><td style={styles.code}>{p.id || "-"}</td><td style={{ fontSize: 12 }}>{p.error}</td></tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div style={{ marginTop: 8, display: "flex", gap: 8 }}>
+            <button onClick={apply} disabled={busy || !parsed.results.length} style={styles.btnPrimary}>{tr("payouts.reconcile")}</button>
+            <button onClick={() => setParsed(null)} disabled={busy} style={styles.btnSecondary}>{tr("common.cancel")}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* TaskImport: CSV upload -> column mapping -> preview + validation (validateTask) -> batch create.
+   Rows khaldan + kuwa server-ku diiday waxaa lagu soo dejin karaa CSV (column "error") */
+function TaskImport({ onImport }) {
+  const [file, setFile] = useState(null); // { name, header, rows }
+  const [mapping, setMapping] = useState({});
+  const [results, setResults] = useState(null); // [{ id, index, ok, error }] (index = file.rows)
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState(null);
+
+  const preview = useMemo(() => (file ? file.rows.map((row, i) => {
+    const { task, errors } = validateTask(csvRowToTaskForm(row, mapping));
+    return { index: i, id: tr("import.row", { n: i + 2 }), row, task, errors }; // +2: header + 1-based
+  }) : []), [file, mapping]);
+  const valid = preview.filter((p) => p.task);
+
+  const onFile = async (e) => {
+    const f = e.target.files && e.target.files[0];
+    e.target.value = "";
+    setErr(null);
+    setResults(null);
+    if (!f) return;
+    try {
+      const [header = [], ...rows] = parseCsv(await f.text());
+      if (!rows.length) return setErr(tr("import.noRows"));
+      if (rows.length > TASK_IMPORT_MAX_ROWS) return setErr(tr("import.tooMany", { max: TASK_IMPORT_MAX_ROWS }));
+      setFile({ name: f.name, header, rows });
+      setMapping(guessTaskMapping(header));
+    } catch (ex) {
+      console.error("parseCsv", ex);
+      setErr(tr("import.unreadable"));
+    }
+  };
+
+  const submit = async () => {
+    setBusy(true);
+    try {
+      // runBatch natiijada isla order-ka ayay ku soo celisaa -> ku xir row index (label-ku luqadda ayuu raacaa)
+      const sent = valid;
+      const res = await onImport(sent.map(({ id, task }) => ({ id, task })));
+      setResults(res.map((r, k) => ({ ...r, index: sent[k].index })));
+    } finally { setBusy(false); }
+  };
+
+  // Rows khaldan (validation) + kuwa fashilmay (server) -> CSV asalka + error
+  const failures = [
+    ...preview.filter((p) => p.errors).map((p) => ({ row: p.row, error: Object.values(p.errors).join(" ") })),
+    ...(results || []).filter((r) => !r.ok).map((r) => ({ row: file?.rows[r.index] ?? [], error: r.error })),
+  ];
+  const downloadFailures = () => {
+    const table = [[...file.header, "error"], ...failures.map((f) => [...f.row, f.error])];
+    downloadTable(table, "task-import-failures", "csv");
+  };
 
-      <main style={styles.main}>
-        {message && <div style={styles.toast}>{message}</div>}
-        {dangerConfirm && (
-          <div style={styles.confirm}>
-            <p>{dangerConfirm.text}</p>
-            <div style={{ marginTop: 8 }}>
-              <button onClick={() => { dangerConfirm.action(); }} style={styles.btnDanger}>Yes, proceed</button>
-              <button onClick={() => setDangerConfirm(null)} style={styles.btnSecondary}>Cancel</button>
-            </div>
+  const reset = () => { setFile(null); setMapping({}); setResults(null); setErr(null); };
+
+  return (
+    <div style={{ marginTop: 8 }}>
+      <label style={styles.fieldLabel}>
+        {tr("import.label")}{" "}
+        <input type="file" accept=".csv,text/csv" onChange={onFile} disabled={busy} aria-label={tr("import.aria")} />
+      </label>
+      {err && <div style={styles.message}>{err}</div>}
+      {file && (
+        <div style={{ ...styles.cardSmall, marginTop: 8 }}>
+          <div style={{ marginBottom: 8 }}>
+            <strong>{file.name}</strong>: {tr("import.summary", { rows: file.rows.length, valid: valid.length, invalid: preview.length - valid.length })}
           </div>
-        )}
+          <div style={styles.toolbar}>
+            {TASK_IMPORT_FIELDS.map((field) => (
+              <label key={field} style={styles.fieldLabel}>
+                {field}{" "}
+                <select value={mapping[field] ?? -1} onChange={(e) => setMapping({ ...mapping, [field]: Number(e.target.value) })} style={styles.inputSmall} disabled={busy || !!results}>
+                  <option value={-1}>—</option>
+                  {file.header.map((h, i) => <option key={i} value={i}>{h || tr("import.column", { n: i + 1 })}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+          <div style={{ overflowX: "auto", maxHeight: 320 }}>
+            <table style={styles.table}>
+              <thead><tr><th>{tr("import.rowHeader")}</th><th>{tr("common.title")}</th><th>{tr("common.reward")}</th><th>{tr("common.category")}</th><th>{tr("common.proof")}</th><th>{tr("import.validation")}</th></tr></thead>
+              <tbody>
+                {preview.map((p) => {
+                  const form = csvRowToTaskForm(p.row, mapping);
+                  const result = results && results.find((r) => r.index === p.index);
+                  return (
+                    <tr key={p.id} style={p.errors || (result && !result.ok) ? styles.riskRow.high : undefined}>
+                      <td>{p.id}</td>
+                      <td>{form.title}</td>
+                      <td>{form.reward}</td>
+                      <td>{form.category}</td>
+                      <td>{form.proofType}</td>
+                      <td style={{ fontSize: 12 }}>
+                        {p.errors ? Object.values(p.errors).join(" ") : result ? (result.ok ? tr("import.created") : result.error) : tr("import.ok")}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ marginTop: 8, display: "flex", gap: 8 }}>
+            {!results && <button onClick={submit} disabled={busy || !valid.length} style={styles.btnPrimary}>
+              {busy ? tr("import.importing") : tr("import.submit", { count: valid.length })}
+            </button>}
+            {failures.length > 0 && <button onClick={downloadFailures} disabled={busy} style={styles.btnSecondary}>{tr("import.downloadFailures", { count: failures.length })}</button>}
+            <button onClick={reset} disabled={busy} style={styles.btnSecondary}>{results ? tr("common.done") : tr("common.cancel")}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
 
-        {activeTab === "dashboard" && (
-          <DashboardPanel api={api} loadUsers={loadUsers} loadTasks={loadTasks} loadWithdrawals={loadWithdrawals} />
-        )}
+/* ExportButton: format dooro + export (progress: rows la soo qaaday / total) */
+function ExportButton({ onExport, formats = EXPORT_FORMATS }) {
+  const [format, setFormat] = useState(Object.keys(formats)[0]);
+  const [progress, setProgress] = useState(null); // null = idle | { fetched, total }
 
-        {activeTab === "users" && (
-          <UsersPanel users={filteredUsers} loading={loading} onBan={banUser} onUnban={unbanUser} refresh={loadUsers} />
-        )}
+  const run = async () => {
+    setProgress({ fetched: 0, total: null });
+    try {
+      await onExport(format, (fetched, total) => setProgress({ fetched, total }));
+    } finally { setProgress(null); }
+  };
 
-        {activeTab === "tasks" && (
-          <TasksPanel tasks={tasks} onAddTask={addTask} refresh={loadTasks} />
-        )}
+  return (
+    <span style={styles.exportGroup}>
+      <select value={format} onChange={(e) => setFormat(e.target.value)} style={styles.inputSmall} aria-label={tr("export.format")} disabled={!!progress}>
+        {Object.entries(formats).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+      </select>
+      <button onClick={run} style={styles.btnSecondary} disabled={!!progress}>
+        {progress ? tr("export.progress", { progress: `${progress.fetched}${progress.total != null ? `/${progress.total}` : ""}` }) : tr("common.export")}
+      </button>
+    </span>
+  );
+}
 
-        {activeTab === "withdrawals" && (
-          <WithdrawalsPanel withdrawals={withdrawals} onApprove={approveWithdraw} onReject={rejectWithdraw} refresh={loadWithdrawals} />
-        )}
+/* SelectionBar: tirada la doortay + batch actions */
+function SelectionBar({ count, total, onSelectAll, onClear, children }) {
+  if (count === 0) {
+    return (
+      <div style={styles.selectionBar}>
+        <button onClick={onSelectAll} style={styles.btnSecondary} disabled={total === 0}>{tr("selection.selectAll", { total })}</button>
+      </div>
+    );
+  }
+  return (
+    <div style={{ ...styles.selectionBar, ...styles.selectionBarActive }}>
+      <strong>{tr("selection.count", { count })}</strong>
+      {count < total && <button onClick={onSelectAll} style={styles.btnSecondary}>{tr("selection.selectAll", { total })}</button>}
+      <button onClick={onClear} style={styles.btnSecondary}>{tr("common.clear")}</button>
+      {children}
+    </div>
+  );
+}
 
-        {activeTab === "settings" && (
-          <SettingsPanel api={api} adminUser={adminUser} />
-        )}
-      </main>
+/* BatchResultPanel: natiijada batch-ka per item + retry kuwa fashilmay */
+function BatchResultPanel({ result, busy, onDismiss }) {
+  const failed = result.results.filter(r => !r.ok);
+  return (
+    <div style={failed.length ? styles.confirm : styles.toast}>
+      <strong>{result.label}</strong>: {tr("batch.resultCounts", { ok: result.results.length - failed.length, failed: failed.length })}
+      {failed.length > 0 && (
+        <ul style={{ margin: "8px 0", paddingLeft: 18 }}>
+          {failed.map(r => <li key={r.id}><span style={styles.code}>{r.id}</span> — {r.error}</li>)}
+        </ul>
+      )}
+      <div style={{ marginTop: 8, display: "flex", gap: 8 }}>
+        {result.retry && <button onClick={result.retry} disabled={busy} style={styles.btnDanger}>{tr("batch.retryFailed", { count: failed.length })}</button>}
+        <button onClick={onDismiss} style={styles.btnSecondary}>{tr("common.dismiss")}</button>
+      </div>
     </div>
   );
 }
 
-/* =======================
-   SMALL COMPONENTS
-   ======================= */
+/* DiagnosticsDrawer: requests-ka fashilmay (method, URL, status, latency, retries, request id) + copy bug report */
+function DiagnosticsDrawer({ entries, admin, onClear, onClose }) {
+  const [copyState, setCopyState] = useState(null); // null | "copied" | "failed"
+  const report = formatDiagnostics(entries, admin);
 
-function LoginForm({ onLogin, loading }) {
-  const [secret, setSecret] = useState("");
-  const [remember, setRemember] = useState(false);
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(report);
+      setCopyState("copied");
+    } catch (e) {
+      console.warn("clipboard", e);
+      setCopyState("failed");
+    }
+  };
 
   return (
-    <div style={{ marginTop: 12 }}>
-      <input
-        value={secret}
-        onChange={(e) => setSecret(e.target.value)}
-        placeholder="Admin secret/token"
-        style={styles.input}
-        aria-label="admin secret"
-      />
-      <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
-        <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
-          <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
-          <span style={{ fontSize: 13 }}>Remember (session)</span>
-        </label>
-      </div>
-      <div style={{ marginTop: 12 }}>
-        <button onClick={() => onLogin(secret, remember)} style={styles.btnPrimary} disabled={loading}>
-          {loading ? "Fadlan sug..." : "Login"}
-        </button>
-      </div>
+    <div style={styles.drawerOverlay} onClick={onClose}>
+      <aside style={styles.drawer} onClick={(e) => e.stopPropagation()} aria-label={tr("diagnostics.label")}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h2 style={styles.sectionTitle}>{tr("diagnostics.title")}</h2>
+          <button onClick={onClose} style={styles.btnSecondary}>{tr("common.close")}</button>
+        </div>
+        <div style={styles.headerSub}>{tr("diagnostics.hint", { max: DIAGNOSTICS_MAX })}</div>
+        <div style={{ display: "flex", gap: 8, margin: "8px 0" }}>
+          <button onClick={copy} disabled={!entries.length} style={styles.btnPrimary}>{tr("diagnostics.copy")}</button>
+          <button onClick={onClear} disabled={!entries.length} style={styles.btnSecondary}>{tr("common.clear")}</button>
+          {copyState && <span style={{ fontSize: 13, alignSelf: "center" }}>{tr(copyState === "copied" ? "diagnostics.copied" : "diagnostics.copyFailed")}</span>}
+        </div>
+        {entries.length === 0 ? <p>{tr("diagnostics.none")}</p> : (
+          <>
+            <table style={styles.table}>
+              <thead><tr><th>{tr("common.time")}</th><th>{tr("diagnostics.request")}</th><th>{tr("common.status")}</th><th>{tr("diagnostics.latency")}</th><th>{tr("diagnostics.retries")}</th></tr></thead>
+              <tbody>
+                {entries.map((e, i) => (
+                  <tr key={`${e.requestId}-${i}`}>
+                    <td>{formatDate(e.at, { timeStyle: "medium" })}</td>
+                    <td>
+                      <span style={styles.code}>{e.method} {e.url}</span>
+                      <div style={{ fontSize: 12 }}>{e.message}</div>
+                      <div style={{ fontSize: 11, color: "#6b7280" }}>{e.requestId}</div>
+                    </td>
+                    <td>{e.status ?? e.code ?? "-"}</td>
+                    <td>{e.latencyMs} ms</td>
+                    <td>{e.retries}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <textarea readOnly value={report} onFocus={(e) => e.target.select()} style={{ ...styles.input, height: 120, fontFamily: "monospace", fontSize: 11, marginTop: 8 }} aria-label={tr("diagnostics.label")} />
+          </>
+        )}
+      </aside>
     </div>
   );
 }
 
-function NavButton({ label, active, onClick }) {
+/* OutboxPanel: pending sync (tartibka la geliyay) + conflicts / errors-ka replay */
+function OutboxPanel({ items, online, syncing, onSync, onDiscard }) {
   return (
-    <button onClick={onClick} style={{ ...styles.navBtn, ...(active ? styles.navBtnActive : {}) }}>
-      {label}
-    </button>
+    <div style={styles.confirm}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <strong>{tr("outbox.title", { count: items.length })}</strong>
+        <button onClick={onSync} disabled={syncing} style={styles.btnSecondary}>{syncing ? tr("outbox.syncing") : tr("outbox.syncNow")}</button>
+      </div>
+      {!online && <div style={{ fontSize: 13, marginTop: 6 }}>{tr("outbox.offline")}</div>}
+      <table style={{ ...styles.table, marginTop: 8 }}>
+        <thead><tr><th>{tr("common.action")}</th><th>{tr("common.time")}</th><th>{tr("common.status")}</th><th></th></tr></thead>
+        <tbody>
+          {items.map((item) => (
+            <tr key={item.id}>
+              <td>{tr(item.label.key, item.label.vars)}</td>
+              <td>{formatDate(item.createdAt)}</td>
+              <td>
+                <span style={{ ...styles.badge, ...styles.outboxStatus[item.status] }}>{tr(`outboxStatus.${item.status}`)}</span>
+                {item.error && <div style={{ fontSize: 12, marginTop: 4 }}>{item.error}</div>}
+              </td>
+              <td><button onClick={() => onDiscard(item)} disabled={syncing} style={styles.btnLink}>{tr("outbox.discard")}</button></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
   );
 }
 
-/* DashboardPanel: simple overview and quick counts */
-function DashboardPanel({ api, loadUsers, loadTasks, loadWithdrawals }) {
-  const [stats, setStats] = useState({ users: 0, totalRevenue: 0, pendingWithdrawals: 0 });
+/* AuditPanel: /admin/audit (actor, action, target, before/after, reason, time) */
+function AuditPanel({ api, cacheTab, restoreTab, target, onClearTarget }) {
+  const emptyFilters = { actor: "", action: "", from: "", to: "" };
+  const [filters, setFilters] = useState(emptyFilters);
+  const [applied, setApplied] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState(null);
 
   useEffect(() => {
     let cancelled = false;
     (async () => {
+      setLoading(true);
+      setErr(null);
+      const params = { ...buildAuditParams(applied, target), page, pageSize: AUDIT_PAGE_SIZE };
       try {
-        const res = await api.get("/admin/overview");
-        if (!cancelled) {
-          setStats(res.data || { users: 0, totalRevenue: 0, pendingWithdrawals: 0 });
-        }
-      } catch (err) {
-        console.warn("overview err", err);
+        const res = await retryWithBackoff((call) => api.get("/admin/audit", { params, call }), 2);
+        if (cancelled) return;
+        const list = Array.isArray(res.data) ? res.data : res.data.entries || [];
+        setRows(list);
+        cacheTab("audit", list, params);
+      } catch (e) {
+        console.error("loadAudit", e);
+        if (!cancelled && !restoreTab("audit", e, setRows, params)) setErr(errorMessage(e, tr("audit.loadFailed")));
+      } finally {
+        if (!cancelled) setLoading(false);
       }
     })();
     return () => { cancelled = true; };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
-
-  return (
-    <div>
-      <h2 style={styles.sectionTitle}>Dashboard Overview</h2>
-      <div style={styles.grid}>
-        <div style={styles.cardSmall}>
-          <div style={styles.cardTitle}>Users</div>
-          <div style={styles.cardValue}>{stats.users}</div>
-          <button style={styles.btnSecondary} onClick={loadUsers}>Refresh Users</button>
-        </div>
+  }, [applied, page, target]);
 
-        <div style={styles.cardSmall}>
-          <div style={styles.cardTitle}>Revenue</div>
-          <div style={styles.cardValue}>${Number(stats.totalRevenue || 0).toFixed(2)}</div>
-          <button style={styles.btnSecondary} onClick={loadTasks}>Refresh Tasks</button>
-        </div>
+  // target cusub -> bogga 1aad
+  useEffect(() => { setPage(1); }, [target]);
 
-        <div style={styles.cardSmall}>
-          <div style={styles.cardTitle}>Pending Withdrawals</div>
-          <div style={styles.cardValue}>{stats.pendingWithdrawals}</div>
-          <button style={styles.btnSecondary} onClick={loadWithdrawals}>Refresh Withdrawals</button>
-        </div>
-      </div>
-    </div>
-  );
-}
+  const set = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+  const apply = () => { setPage(1); setApplied({ ...filters }); };
+  const reset = () => { setFilters(emptyFilters); setPage(1); setApplied(emptyFilters); };
+  const exportAudit = async (format, onProgress) => {
+    setErr(null);
+    try {
+      await exportRows({ api, url: "/admin/audit", key: "entries", params: buildAuditParams(applied, target), columns: EXPORT_COLUMNS.audit, format, filename: "audit", onProgress });
+    } catch (e) {
+      console.error("exportAudit", e);
+      setErr(errorMessage(e, tr("audit.exportFailed")));
+    }
+  };
 
-/* UsersPanel */
-function UsersPanel({ users, loading, onBan, onUnban, refresh }) {
   return (
     <div>
-      <h2 style={styles.sectionTitle}>Users ({users.length})</h2>
-      <div style={{ marginBottom: 8 }}>
-        <button onClick={refresh} style={styles.btnPrimary}>Refresh</button>
+      <h2 style={styles.sectionTitle}>{tr("audit.title")}</h2>
+      {target && (
+        <div style={styles.selectionBarActive}>
+          {tr("audit.historyFor", { type: target.type })} <span style={styles.code}>{target.id}</span>{" "}
+          <button onClick={onClearTarget} style={styles.btnSecondary}>{tr("audit.showAll")}</button>
+        </div>
+      )}
+      <div style={{ ...styles.toolbar, marginTop: 8 }}>
+        <input placeholder={tr("audit.actorPlaceholder")} value={filters.actor} onChange={set("actor")} style={styles.inputSmall} />
+        <select value={filters.action} onChange={set("action")} style={styles.inputSmall} aria-label={tr("audit.actionType")}>
+          <option value="">{tr("audit.allActions")}</option>
+          {AUDIT_ACTIONS.map(a => <option key={a} value={a}>{a}</option>)}
+        </select>
+        <input type="date" value={filters.from} onChange={set("from")} style={styles.inputSmall} aria-label={tr("audit.fromDate")} />
+        <input type="date" value={filters.to} onChange={set("to")} style={styles.inputSmall} aria-label={tr("audit.toDate")} />
+        <button onClick={apply} style={styles.btnPrimary}>{tr("common.apply")}</button>
+        <button onClick={reset} style={styles.btnSecondary}>{tr("common.reset")}</button>
+        <ExportButton onExport={exportAudit} />
       </div>
+      {err && <div style={styles.message}>{err}</div>}
       <div style={{ overflowX: "auto" }}>
         <table style={styles.table}>
-          <thead>
-            <tr>
-              <th>ID</th><th>Name</th><th>Email</th><th>Balance</th><th>Status</th><th>Actions</th>
-            </tr>
-          </thead>
+          <thead><tr><th>{tr("common.time")}</th><th>{tr("common.actor")}</th><th>{tr("common.action")}</th><th>{tr("common.target")}</th><th>{tr("common.change")}</th><th>{tr("common.reason")}</th></tr></thead>
           <tbody>
-            {users.map(u => (
-              <tr key={u.id}>
-                <td style={styles.code}>{u.id}</td>
-                <td>{u.name || "-"}</td>
-                <td style={styles.code}>{u.email || "-"}</td>
-                <td>${Number(u.balance || 0).toFixed(2)}</td>
-                <td>{u.banned ? "BANNED" : "Active"}</td>
+            {rows.map((e, i) => (
+              <tr key={e.id || i}>
+                <td>{formatDate(e.createdAt || e.timestamp || Date.now())}</td>
+                <td>{e.actorName || e.actor || "-"}</td>
+                <td style={styles.code}>{e.action}</td>
+                <td style={styles.code}>{e.targetType ? `${e.targetType}:` : ""}{e.targetId || "-"}</td>
                 <td>
-                  {!u.banned ? <button onClick={() => onBan(u.id)} style={styles.btnDangerSmall}>Ban</button>
-                            : <button onClick={() => onUnban(u.id)} style={styles.btnPrimarySmall}>Unban</button>}
+                  {diffValues(e.before, e.after).map(d => (
+                    <div key={d.key} style={{ fontSize: 12 }}>
+                      <span style={styles.code}>{d.key}</span>: {JSON.stringify(d.before) ?? "—"} → {JSON.stringify(d.after) ?? "—"}
+                    </div>
+                  ))}
                 </td>
+                <td>{e.reason || "-"}</td>
               </tr>
             ))}
-            {users.length === 0 && <tr><td colSpan={6} style={{ textAlign: "center", padding: 12 }}>{loading ? "Loading..." : "No users found"}</td></tr>}
+            {rows.length === 0 && <tr><td colSpan={6} style={{ textAlign: "center", padding: 12 }}>{loading ? tr("common.loading") : tr("audit.none")}</td></tr>}
           </tbody>
+          <tfoot>
+            <tr>
+              <td colSpan={6}>
+                <div style={styles.pager}>
+                  <span>{tr("pager.page", { page })}</span>
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <button onClick={() => setPage(page - 1)} disabled={loading || page <= 1} style={styles.btnSecondary}>{tr("common.prev")}</button>
+                    <button onClick={() => setPage(page + 1)} disabled={loading || rows.length < AUDIT_PAGE_SIZE} style={styles.btnSecondary}>{tr("common.next")}</button>
+                  </div>
+                </div>
+              </td>
+            </tr>
+          </tfoot>
         </table>
       </div>
     </div>
   );
 }
 
-/* TasksPanel */
-function TasksPanel({ tasks, onAddTask, refresh }) {
-  const [title, setTitle] = useState("");
-  const [desc, setDesc] = useState("");
-  const [reward, setReward] = useState("");
+/* SettingsPanel */
+function SettingsPanel({ api, adminUser, mutate, onPolicyChange }) {
+  const [saved, setSaved] = useState(DEFAULT_SETTINGS); // settings-ka server-ka (version-ka hadda)
+  const [form, setForm] = useState(DEFAULT_SETTINGS);
+  const [version, setVersion] = useState(undefined); // settings version (optimistic concurrency)
+  const [errors, setErrors] = useState({});
+  const [pending, setPending] = useState(null); // { settings, changes } -> diff confirm kahor save
+  const [history, setHistory] = useState(null); // null = xiran | [{ version, settings, updatedBy, updatedAt }]
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState(null);
 
-  return (
-    <div>
-      <h2 style={styles.sectionTitle}>Tasks ({tasks.length})</h2>
-      <div style={{ marginBottom: 12 }}>
-        <input placeholder="Title" value={title} onChange={(e) => setTitle(e.target.value)} style={styles.input} />
-        <input placeholder="Reward (USD)" value={reward} onChange={(e) => setReward(e.target.value)} style={styles.input} />
-        <textarea placeholder="Description" value={desc} onChange={(e) => setDesc(e.target.value)} style={{ ...styles.input, height: 80 }} />
-        <div style={{ display: "flex", gap: 8 }}>
-          <button onClick={() => { onAddTask(title, desc, reward); setTitle(""); setDesc(""); setReward(""); }} style={styles.btnPrimary}>Create Task</button>
-          <button onClick={refresh} style={styles.btnSecondary}>Refresh</button>
-        </div>
-      </div>
+  const load = async () => {
+    try {
+      const res = await api.get("/admin/settings");
+      const current = normalizeSettings(res.data || {});
+      setSaved(current);
+      setForm(current);
+      setVersion(res.data?.version);
+      setErrors({});
+      setPending(null);
+    } catch (e) {
+      console.error("loadSettings", e);
+      setMsg(errorMessage(e, tr("settings.loadFailed")));
+    }
+  };
 
-      <div style={{ overflowX: "auto" }}>
-        <table style={styles.table}>
-          <thead><tr><th>ID</th><th>Title</th><th>Reward</th><th>Created</th></tr></thead>
-          <tbody>
-            {tasks.map(t => (
-              <tr key={t.id}>
-                <td style={styles.code}>{t.id}</td>
-                <td>{t.title}</td>
-                <td>${Number(t.reward || 0).toFixed(2)}</td>
-                <td>{new Date(t.createdAt || Date.now()).toLocaleString()}</td>
-              </tr>
-            ))}
-            {tasks.length === 0 && <tr><td colSpan={4} style={{ textAlign: "center", padding: 12 }}>No tasks</td></tr>}
-          </tbody>
-        </table>
-      </div>
-    </div>
-  );
-}
+  const loadHistory = async () => {
+    try {
+      const res = await retryWithBackoff((call) => api.get("/admin/settings/history", { call }), 2);
+      setHistory(Array.isArray(res.data) ? res.data : res.data.versions || []);
+    } catch (e) {
+      console.error("loadSettingsHistory", e);
+      setMsg(errorMessage(e, tr("settings.historyLoadFailed")));
+    }
+  };
 
-/* WithdrawalsPanel */
-function WithdrawalsPanel({ withdrawals, onApprove, onReject, refresh }) {
-  const [reason, setReason] = useState("");
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const value = (e) => (e.target.type === "checkbox" ? e.target.checked : e.target.value);
+  const set = (key) => (e) => setForm({ ...form, [key]: value(e) });
+  const setMethod = (name, key) => (e) => setForm({ ...form, payoutMethods: { ...form.payoutMethods, [name]: { ...form.payoutMethods[name], [key]: value(e) } } });
+  const setReferral = (key) => (e) => setForm({ ...form, referralBonus: { ...form.referralBonus, [key]: value(e) } });
+
+  // Save -> validate -> diff confirm (saved vs form)
+  const review = () => {
+    setMsg(null);
+    const res = validateSettings(form);
+    setErrors(res.errors || {});
+    if (res.errors) return;
+    const changes = diffValues(flattenSettings(saved), flattenSettings(res.settings));
+    if (!changes.length) return setMsg(tr("settings.noChanges"));
+    setPending({ settings: res.settings, changes });
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setMsg(null);
+    try {
+      const res = await mutate({ key: "outbox.settings", vars: {} }, "/admin/settings", pending.settings, { version, retries: 0 });
+      if (res.data?.version != null) setVersion(res.data.version);
+      setSaved(pending.settings);
+      setForm(pending.settings);
+      onPolicyChange({ stepUpThreshold: pending.settings.stepUpThreshold, requireSecondApproval: pending.settings.requireSecondApproval });
+      setPending(null);
+      setMsg(tr("settings.saved"));
+      if (history) await loadHistory();
+    } catch (err) {
+      if (err?.isQueued) { setPending(null); return setMsg(tr("outbox.queuedShort")); }
+      setMsg(err?.isConflict ? tr("settings.conflict") : errorMessage(err, tr("settings.saveFailed")));
+    } finally { setSaving(false); }
+  };
+
+  // Reset = tuur isbeddellada aan la keydin (settings-ka server-ka)
+  const reset = () => { setForm(saved); setErrors({}); setPending(null); setMsg(null); };
 
   return (
     <div>
-      <h2 style={styles.sectionTitle}>Withdrawals ({withdrawals.length})</h2>
-      <div style={{ marginBottom: 8 }}>
-        <button onClick={refresh} style={styles.btnPrimary}>Refresh</button>
-      </div>
-      <div style={{ overflowX: "auto" }}>
+      <h2 style={styles.sectionTitle}>{tr("settings.title")}</h2>
+      <div style={styles.cardSmall}>
+        <h3 style={styles.cardTitle}>{tr("settings.maintenance")}</h3>
+        <label style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8 }}>
+          <input type="checkbox" checked={form.maintenance} onChange={set("maintenance")} />
+          <span>{tr("settings.maintenanceMode")} {form.maintenance ? tr("settings.on") : tr("settings.off")}</span>
+        </label>
+        <Field label={tr("settings.maintenanceMessage", { length: String(form.maintenanceMessage).length, max: MAINTENANCE_MESSAGE_MAX })} error={errors.maintenanceMessage}>
+          <textarea value={form.maintenanceMessage} onChange={set("maintenanceMessage")} style={{ ...styles.input, height: 60 }} />
+        </Field>
+
+        <h3 style={styles.cardTitle}>{tr("settings.payoutRules")}</h3>
+        <div style={styles.formGrid}>
+          <Field label={tr("settings.conversion")} error={errors.conversion}><input type="number" min="1" value={form.conversion} onChange={set("conversion")} style={styles.input} /></Field>
+          <Field label={tr("settings.minWithdrawal")} error={errors.minWithdrawal}><input type="number" min="0" step="0.01" value={form.minWithdrawal} onChange={set("minWithdrawal")} style={styles.input} /></Field>
+          <Field label={tr("settings.maxWithdrawal")} error={errors.maxWithdrawal}><input type="number" min="0" step="0.01" value={form.maxWithdrawal} onChange={set("maxWithdrawal")} style={styles.input} /></Field>
+          <Field label={tr("settings.dailyLimit")} error={errors.dailyWithdrawalLimit}><input type="number" min="0" step="0.01" value={form.dailyWithdrawalLimit} onChange={set("dailyWithdrawalLimit")} style={styles.input} /></Field>
+          <Field label={tr("settings.dailyCount")} error={errors.dailyWithdrawalCount}><input type="number" min="1" value={form.dailyWithdrawalCount} onChange={set("dailyWithdrawalCount")} style={styles.input} /></Field>
+          <Field label={tr("settings.stepUpThreshold")} error={errors.stepUpThreshold}><input type="number" min="0" value={form.stepUpThreshold} onChange={set("stepUpThreshold")} style={styles.input} /></Field>
+        </div>
+        <label style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8 }}>
+          <input type="checkbox" checked={form.requireSecondApproval} onChange={set("requireSecondApproval")} />
+          <span>{tr("settings.requireSecondApproval")}</span>
+        </label>
+
+        <h3 style={styles.cardTitle}>{tr("settings.payoutMethods")}</h3>
+        {errors.payoutMethods && <span style={styles.fieldError}>{errors.payoutMethods}</span>}
         <table style={styles.table}>
-          <thead><tr><th>ID</th><th>User</th><th>Amount</th><th>Method</th><th>Status</th><th>Actions</th></tr></thead>
+          <thead><tr><th>{tr("common.method")}</th><th>{tr("settings.enabled")}</th><th>{tr("settings.feePercent")}</th><th>{tr("settings.feeFixed")}</th></tr></thead>
           <tbody>
-            {withdrawals.map(w => (
-              <tr key={w.id}>
-                <td style={styles.code}>{w.id}</td>
-                <td style={styles.code}>{w.userId}</td>
-                <td>${Number(w.amount || 0).toFixed(2)}</td>
-                <td>{w.method}</td>
-                <td>{w.status}</td>
+            {PAYOUT_METHODS.map(m => (
+              <tr key={m}>
+                <td>{m}</td>
+                <td><input type="checkbox" checked={form.payoutMethods[m].enabled} onChange={setMethod(m, "enabled")} aria-label={tr("settings.methodEnabled", { method: m })} /></td>
                 <td>
-                  {w.status === "PENDING" && (
-                    <>
-                      <button onClick={() => onApprove(w.id)} style={styles.btnPrimarySmall}>Approve</button>
-                      <button onClick={() => { const r=prompt("Sababta diidmada (reason)"); if(r!==null) onReject(w.id,r); }} style={styles.btnDangerSmall}>Reject</button>
-                    </>
-                  )}
+                  <input type="number" min="0" max="100" step="0.1" value={form.payoutMethods[m].feePercent} onChange={setMethod(m, "feePercent")} style={styles.inputSmall} aria-label={tr("settings.methodFeePercent", { method: m })} />
+                  {errors[`payoutMethods.${m}.feePercent`] && <span style={styles.fieldError}>{errors[`payoutMethods.${m}.feePercent`]}</span>}
+                </td>
+                <td>
+                  <input type="number" min="0" step="0.01" value={form.payoutMethods[m].feeFixed} onChange={setMethod(m, "feeFixed")} style={styles.inputSmall} aria-label={tr("settings.methodFeeFixed", { method: m })} />
+                  {errors[`payoutMethods.${m}.feeFixed`] && <span style={styles.fieldError}>{errors[`payoutMethods.${m}.feeFixed`]}</span>}
                 </td>
               </tr>
             ))}
-            {withdrawals.length === 0 && <tr><td colSpan={6} style={{ textAlign: "center", padding: 12 }}>No withdrawals</td></tr>}
           </tbody>
         </table>
+
+        <h3 style={styles.cardTitle}>{tr("settings.referralBonus")}</h3>
+        <div style={styles.formGrid}>
+          <Field label={tr("settings.referrer")} error={errors["referralBonus.referrer"]}><input type="number" min="0" step="0.01" value={form.referralBonus.referrer} onChange={setReferral("referrer")} style={styles.input} /></Field>
+          <Field label={tr("settings.referee")} error={errors["referralBonus.referee"]}><input type="number" min="0" step="0.01" value={form.referralBonus.referee} onChange={setReferral("referee")} style={styles.input} /></Field>
+        </div>
+
+        {pending ? (
+          <div style={styles.confirm}>
+            <p>{tr("settings.pendingChanges", { count: pending.changes.length })}</p>
+            {pending.changes.map(d => (
+              <div key={d.key} style={{ fontSize: 12 }}>
+                <span style={styles.code}>{d.key}</span>: {JSON.stringify(d.before) ?? "—"} → {JSON.stringify(d.after) ?? "—"}
+              </div>
+            ))}
+            <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+              <button onClick={save} disabled={saving} style={styles.btnPrimary}>{saving ? tr("settings.saving") : tr("settings.confirmSave")}</button>
+              <button onClick={() => setPending(null)} disabled={saving} style={styles.btnSecondary}>{tr("common.back")}</button>
+            </div>
+          </div>
+        ) : (
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            <button onClick={review} style={styles.btnPrimary}>{tr("common.save")}</button>
+            <button onClick={reset} style={styles.btnSecondary}>{tr("common.reset")}</button>
+            <button onClick={() => { setForm(DEFAULT_SETTINGS); setErrors({}); }} style={styles.btnSecondary}>{tr("settings.loadDefaults")}</button>
+            <button onClick={() => (history ? setHistory(null) : loadHistory())} style={styles.btnSecondary}>{history ? tr("settings.hideHistory") : tr("common.history")}</button>
+          </div>
+        )}
+
+        {msg && <div style={{ marginTop: 8 }}>{msg}</div>}
       </div>
+
+      <MaintenanceWindows api={api} />
+
+      {history && <SettingsHistory versions={history} onLoad={(settings, v) => { setForm(normalizeSettings(settings)); setPending(null); setMsg(tr("settings.versionLoaded", { version: v })); }} />}
     </div>
   );
 }
 
-/* SettingsPanel */
-function SettingsPanel({ api, adminUser }) {
-  const [maintenance, setMaintenance] = useState(false);
-  const [conversion, setConversion] = useState(1000); // points->USD
-  const [saving, setSaving] = useState(false);
+/* MaintenanceWindows: jadwal (start/end + timezone + fariin so/en), banner preview,
+   upcoming/active/past, cancel ama extend window-ka socda */
+function MaintenanceWindows({ api }) {
+  const [windows, setWindows] = useState([]);
+  const [form, setForm] = useState(EMPTY_MAINTENANCE_FORM);
+  const [errors, setErrors] = useState({});
+  const [confirmCancel, setConfirmCancel] = useState(null); // window id
+  const [extendBy, setExtendBy] = useState(MAINTENANCE_EXTEND_MINUTES[1]);
+  const [busy, setBusy] = useState(false);
   const [msg, setMsg] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const load = async () => {
+    try {
+      const res = await retryWithBackoff((call) => api.get("/admin/maintenance/windows", { call }), 2);
+      setWindows(Array.isArray(res.data) ? res.data : res.data.windows || []);
+    } catch (e) {
+      console.error("loadMaintenanceWindows", e);
+      setMsg(errorMessage(e, tr("maintenance.loadFailed")));
+    }
+  };
 
   useEffect(() => {
-    (async () => {
-      try {
-        const res = await api.get("/admin/settings");
-        setMaintenance(Boolean(res.data?.maintenance));
-        setConversion(Number(res.data?.conversion) || 1000);
-      } catch (e) {
-        // ignore
-      }
-    })();
+    load();
+    // status-ka (upcoming -> active -> past) waqtiga la socodsii
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const save = async () => {
-    setSaving(true);
+  const set = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  const run = async (fn, done) => {
+    setBusy(true);
     setMsg(null);
     try {
-      await api.post("/admin/settings", { maintenance: Boolean(maintenance), conversion: Number(conversion) });
-      setMsg("Saved.");
+      await fn();
+      setMsg(done);
+      await load();
     } catch (err) {
-      setMsg("Save failed.");
-    } finally { setSaving(false); }
+      console.error("maintenance", err);
+      setMsg(errorMessage(err, tr("common.actionFailed")));
+      if (err?.isConflict) await load();
+    } finally { setBusy(false); setConfirmCancel(null); }
   };
 
-  return (
-    <div>
-      <h2 style={styles.sectionTitle}>Settings</h2>
-      <div style={styles.cardSmall}>
-        <div style={{ marginBottom: 8 }}>
-          <label><strong>Maintenance Mode</strong></label>
-          <div>
-            <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
-              <input type="checkbox" checked={maintenance} onChange={(e) => setMaintenance(e.target.checked)} />
-              <span>{maintenance ? "ON" : "OFF"}</span>
-            </label>
-          </div>
-        </div>
+  const schedule = () => {
+    const res = validateMaintenanceWindow(form);
+    setErrors(res.errors || {});
+    if (res.errors) return;
+    run(async () => {
+      await postMutation(api, "/admin/maintenance/schedule", res.window);
+      setForm(EMPTY_MAINTENANCE_FORM);
+    }, tr("maintenance.scheduled"));
+  };
+  const cancel = (w) => run(() => postMutation(api, "/admin/maintenance/cancel", { id: sanitize(w.id) }, { version: w.version }), tr("maintenance.cancelled"));
+  const extend = (w) => {
+    const endAt = new Date(new Date(w.endAt).getTime() + extendBy * 60000).toISOString();
+    run(() => postMutation(api, "/admin/maintenance/extend", { id: sanitize(w.id), endAt }, { version: w.version }), tr("maintenance.extended", { minutes: extendBy }));
+  };
 
-        <div style={{ marginBottom: 8 }}>
-          <label><strong>Conversion (points -> $)</strong></label>
-          <div>
-            <input type="number" value={conversion} onChange={(e) => setConversion(e.target.value)} style={styles.inputSmall} />
-          </div>
-        </div>
+  const withStatus = windows.map((w) => ({ ...w, state: maintenanceStatus(w, now) }));
+  const current = withStatus.filter((w) => w.state === "ACTIVE" || w.state === "UPCOMING")
+    .sort((a, b) => new Date(a.startAt) - new Date(b.startAt));
+  const past = withStatus.filter((w) => w.state === "PAST" || w.state === "CANCELLED")
+    .sort((a, b) => new Date(b.startAt) - new Date(a.startAt));
+  const previewEnd = zonedToUtc(form.endAt, form.timezone);
 
-        <div style={{ display: "flex", gap: 8 }}>
-          <button onClick={save} disabled={saving} style={styles.btnPrimary}>{saving ? "Saving..." : "Save"}</button>
-          <button onClick={() => { setMaintenance(false); setConversion(1000); }} style={styles.btnSecondary}>Reset</button>
-        </div>
+  const row = (w) => (
+    <tr key={w.id}>
+      <td><span style={{ ...styles.badge, ...styles.maintenanceState[w.state] }}>{tr(`maintenanceState.${w.state}`)}</span></td>
+      <td>{formatInZone(w.startAt, w.timezone || "UTC")}</td>
+      <td>{formatInZone(w.endAt, w.timezone || "UTC")}</td>
+      <td style={{ fontSize: 12 }}>
+        <div>SO: {w.message?.so || "-"}</div>
+        <div>EN: {w.message?.en || "-"}</div>
+      </td>
+      <td>
+        {(w.state === "ACTIVE" || w.state === "UPCOMING") && (
+          confirmCancel === w.id ? (
+            <>
+              <button onClick={() => cancel(w)} disabled={busy} style={styles.btnDangerSmall}>{tr("maintenance.confirmCancel")}</button>{" "}
+              <button onClick={() => setConfirmCancel(null)} disabled={busy} style={styles.btnLink}>{tr("maintenance.keep")}</button>
+            </>
+          ) : (
+            <button onClick={() => setConfirmCancel(w.id)} disabled={busy} style={styles.btnDangerSmall}>{tr("common.cancel")}</button>
+          )
+        )}
+        {w.state === "ACTIVE" && (
+          <span style={{ marginLeft: 6 }}>
+            <select value={extendBy} onChange={(e) => setExtendBy(Number(e.target.value))} style={styles.inputSmall} aria-label={tr("maintenance.extendBy")}>
+              {MAINTENANCE_EXTEND_MINUTES.map(m => <option key={m} value={m}>{tr("maintenance.minutes", { minutes: m })}</option>)}
+            </select>{" "}
+            <button onClick={() => extend(w)} disabled={busy} style={styles.btnPrimarySmall}>{tr("maintenance.extend")}</button>
+          </span>
+        )}
+      </td>
+    </tr>
+  );
 
-        {msg && <div style={{ marginTop: 8 }}>{msg}</div>}
+  return (
+    <div style={{ ...styles.cardSmall, marginTop: 12 }}>
+      <h3 style={styles.cardTitle}>{tr("maintenance.title")}</h3>
+      <div style={styles.formGrid}>
+        <Field label={tr("common.start")} error={errors.startAt}><input type="datetime-local" value={form.startAt} onChange={set("startAt")} style={styles.input} /></Field>
+        <Field label={tr("common.end")} error={errors.endAt}><input type="datetime-local" value={form.endAt} onChange={set("endAt")} style={styles.input} /></Field>
+        <Field label={tr("maintenance.timezone")}>
+          <select value={form.timezone} onChange={set("timezone")} style={styles.input}>
+            {MAINTENANCE_TIMEZONES.map(tz => <option key={tz} value={tz}>{tz}</option>)}
+          </select>
+        </Field>
       </div>
+      <div style={styles.formGrid}>
+        <Field label={tr("maintenance.messageSo")} error={errors.messageSo}><textarea value={form.messageSo} onChange={set("messageSo")} style={{ ...styles.input, height: 60 }} /></Field>
+        <Field label={tr("maintenance.messageEn")} error={errors.messageEn}><textarea value={form.messageEn} onChange={set("messageEn")} style={{ ...styles.input, height: 60 }} /></Field>
+      </div>
+
+      <div style={styles.fieldLabel}>{tr("maintenance.preview")}</div>
+      <MaintenanceBanner message={{ so: form.messageSo, en: form.messageEn }} endAt={previewEnd} timezone={form.timezone} />
+
+      <button onClick={schedule} disabled={busy} style={{ ...styles.btnPrimary, marginTop: 8 }}>{tr("maintenance.schedule")}</button>
+      {msg && <div style={{ marginTop: 8 }}>{msg}</div>}
+
+      <h3 style={{ ...styles.cardTitle, marginTop: 12 }}>{tr("maintenance.current")}</h3>
+      {current.length ? (
+        <table style={styles.table}>
+          <thead><tr><th>{tr("common.status")}</th><th>{tr("common.start")}</th><th>{tr("common.end")}</th><th>{tr("common.message")}</th><th>{tr("common.actions")}</th></tr></thead>
+          <tbody>{current.map(row)}</tbody>
+        </table>
+      ) : <div style={{ fontSize: 13 }}>{tr("maintenance.none")}</div>}
+
+      {past.length > 0 && (
+        <>
+          <h3 style={{ ...styles.cardTitle, marginTop: 12 }}>{tr("maintenance.past")}</h3>
+          <table style={styles.table}>
+            <thead><tr><th>{tr("common.status")}</th><th>{tr("common.start")}</th><th>{tr("common.end")}</th><th>{tr("common.message")}</th><th></th></tr></thead>
+            <tbody>{past.map(row)}</tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* MaintenanceBanner: preview-ga banner-ka app-ka users (so + en) */
+function MaintenanceBanner({ message, endAt, timezone }) {
+  const until = endAt ? formatInZone(endAt, timezone) : null;
+  return (
+    <div style={styles.maintenanceBanner} role="status">
+      <div><strong>Dayactir</strong> — {message.so || "…"}{until && <> Waxaan dib u soo laaban doonaa {until}.</>}</div>
+      <div style={{ marginTop: 4 }}><strong>Maintenance</strong> — {message.en || "…"}{until && <> We'll be back {until}.</>}</div>
+    </div>
+  );
+}
+
+/* SettingsHistory: versions-kii hore (cusub -> hore), isbeddel kasta vs version-ka ka horreeyay */
+function SettingsHistory({ versions, onLoad }) {
+  if (!versions.length) return <div style={{ marginTop: 8 }}>{tr("settingsHistory.none")}</div>;
+  return (
+    <div style={{ ...styles.cardSmall, marginTop: 12 }}>
+      <h3 style={styles.cardTitle}>{tr("settingsHistory.title")}</h3>
+      <table style={styles.table}>
+        <thead><tr><th>{tr("common.version")}</th><th>{tr("common.by")}</th><th>{tr("common.time")}</th><th>{tr("common.changes")}</th><th></th></tr></thead>
+        <tbody>
+          {versions.map((v, i) => {
+            const prev = versions[i + 1];
+            const changes = prev ? diffValues(flattenSettings(normalizeSettings(prev.settings)), flattenSettings(normalizeSettings(v.settings))) : [];
+            return (
+              <tr key={v.version ?? i}>
+                <td style={styles.code}>{v.version ?? "-"}</td>
+                <td>{v.updatedByName || v.updatedBy || "-"}</td>
+                <td>{formatDate(v.updatedAt)}</td>
+                <td>
+                  {!prev && <span style={{ fontSize: 12 }}>{tr("settingsHistory.initial")}</span>}
+                  {changes.map(d => (
+                    <div key={d.key} style={{ fontSize: 12 }}>
+                      <span style={styles.code}>{d.key}</span>: {JSON.stringify(d.before) ?? "—"} → {JSON.stringify(d.after) ?? "—"}
+                    </div>
+                  ))}
+                </td>
+                <td>{i > 0 && <button onClick={() => onLoad(v.settings, v.version)} style={styles.btnLink}>{tr("settingsHistory.load")}</button>}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
     </div>
   );
 }
@@ -748,8 +6051,78 @@ const styles = {
   btnPrimarySmall: { background: "#4f46e5", color: "#fff", padding: "6px 8px", borderRadius: 6, border: "none", cursor: "pointer", marginRight: 6 },
   btnDanger: { background: "#dc2626", color: "#fff", padding: "8px 12px", borderRadius: 8, border: "none", cursor: "pointer" },
   btnDangerSmall: { background: "#dc2626", color: "#fff", padding: "6px 8px", borderRadius: 6, border: "none", cursor: "pointer", marginRight: 6 },
+  btnLink: { background: "none", border: "none", color: "#4f46e5", cursor: "pointer", padding: "6px 4px", textDecoration: "underline" },
   btnSecondary: { background: "#f3f4f6", color: "#111827", padding: "8px 12px", borderRadius: 8, border: "1px solid #e5e7eb", cursor: "pointer" },
   table: { width: "100%", borderCollapse: "collapse", marginTop: 8 },
   code: { fontFamily: "monospace", fontSize: 12, color: "#0f172a" },
+  barTrack: { height: 6, background: "#f3f4f6", borderRadius: 999, overflow: "hidden" },
+  barFill: { height: "100%", background: "#4f46e5", borderRadius: 999 },
+  badge: { display: "inline-block", padding: "2px 8px", borderRadius: 999, fontSize: 12, background: "#f3f4f6", color: "#374151" },
+  taskStatus: {
+    draft: { background: "#f3f4f6", color: "#374151" },
+    active: { background: "#dcfce7", color: "#166534" },
+    paused: { background: "#fef9c3", color: "#854d0e" },
+    archived: { background: "#e5e7eb", color: "#6b7280" },
+  },
+  maintenanceBanner: { padding: 12, borderRadius: 10, background: "#fef3c7", border: "1px solid #f59e0b", color: "#78350f", fontSize: 14 },
+  maintenanceState: {
+    UPCOMING: { background: "#dbeafe", color: "#1e40af" },
+    ACTIVE: { background: "#fef3c7", color: "#92400e" },
+    PAST: { background: "#f3f4f6", color: "#6b7280" },
+    CANCELLED: { background: "#fee2e2", color: "#991b1b" },
+  },
+  formGrid: { display: "grid", gridTemplateColumns: "repeat(auto-fit,minmax(200px,1fr))", gap: "0 12px" },
+  fieldLabel: { display: "block", fontSize: 12, color: "#555", marginBottom: 4 },
+  fieldError: { display: "block", fontSize: 12, color: "#dc2626", marginTop: -4, marginBottom: 8 },
+  btnDisabled: { opacity: 0.5, cursor: "not-allowed" },
+  liveStatus: {
+    live: { background: "#dcfce7", color: "#166534" },
+    polling: { background: "#fef3c7", color: "#92400e" },
+    connecting: { background: "#f3f4f6", color: "#374151" },
+    offline: { background: "#fee2e2", color: "#991b1b" },
+  },
+  notificationPreview: { maxWidth: 360, padding: 12, borderRadius: 14, background: "#f8fafc", border: "1px solid #e2e8f0", boxShadow: "0 4px 12px rgba(15,23,42,0.06)" },
+  notificationStatus: {
+    SCHEDULED: { background: "#dbeafe", color: "#1e40af" },
+    SENDING: { background: "#fef3c7", color: "#92400e" },
+    SENT: { background: "#dcfce7", color: "#166534" },
+    CANCELLED: { background: "#f3f4f6", color: "#6b7280" },
+    FAILED: { background: "#fee2e2", color: "#991b1b" },
+  },
+  payoutBatchStatus: {
+    OPEN: { background: "#dbeafe", color: "#1e40af" },
+    SENT: { background: "#fef3c7", color: "#92400e" },
+    RECONCILED: { background: "#dcfce7", color: "#166534" },
+  },
+  outboxStatus: {
+    pending: { background: "#f3f4f6", color: "#374151" },
+    conflict: { background: "#fef3c7", color: "#92400e" },
+    failed: { background: "#fee2e2", color: "#991b1b" },
+  },
+  staleNote: { padding: 8, background: "#fffbeb", border: "1px solid #fde68a", borderRadius: 8, marginBottom: 12, fontSize: 13, color: "#92400e" },
+  rowLiveChanged: { outline: "2px solid #f59e0b", transition: "outline 0.3s" },
+  liveNote: { fontSize: 12, color: "#b45309", fontWeight: 600 },
+  riskRow: {
+    high: { background: "#fef2f2" },
+    medium: { background: "#fffbeb" },
+    low: {},
+  },
+  riskBadge: {
+    high: { background: "#fee2e2", color: "#991b1b" },
+    medium: { background: "#fef3c7", color: "#92400e" },
+    low: { background: "#dcfce7", color: "#166534" },
+  },
+  flagList: { margin: "4px 0 0", paddingLeft: 16, fontSize: 12, color: "#555" },
+  rowActive: { background: "#eef2ff", outline: "2px solid #c7d2fe" },
+  proofImage: { maxWidth: 240, maxHeight: 160, borderRadius: 6, border: "1px solid #e5e7eb", display: "block" },
+  rowClickable: { cursor: "pointer" },
+  drawerOverlay: { position: "fixed", inset: 0, background: "rgba(15,23,42,0.25)", display: "flex", justifyContent: "flex-end", zIndex: 50 },
+  drawer: { width: "min(560px, 100%)", height: "100%", overflowY: "auto", background: "#fff", padding: 18, boxShadow: "-8px 0 30px rgba(15,23,42,0.12)" },
+  sortable: { cursor: "pointer", userSelect: "none", whiteSpace: "nowrap" },
+  toolbar: { display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 8 },
+  selectionBar: { display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 8 },
+  selectionBarActive: { padding: 8, background: "#eef2ff", borderRadius: 8 },
+  exportGroup: { display: "inline-flex", gap: 4, alignItems: "center" },
+  pager: { display: "flex", justifyContent: "space-between", alignItems: "center", padding: "8px 0", fontSize: 13, color: "#555" },
   message: { marginTop: 12, padding: 12, background: "#fff4e6", borderRadius: 8 },
 };
\ No newline at end of file